@@ -3,203 +3,2405 @@
 /**
  * Coverage Calculator Script
  * 
- * Calculates test coverage metrics from Jest coverage-final.json files.
+ * Calculates test coverage metrics from Istanbul coverage-final.json (Jest,
+ * nyc, c8 and Vitest json reporters), lcov.info and Cobertura XML files, all
+ * normalized into the Istanbul file coverage shape before any calculation.
  * Supports both global coverage and changed files only coverage analysis.
+ * Several reports (Jest shards, integration runs) can be given at once; their
+ * hit counts are summed per source file before anything is calculated.
+ *
+ * With --workspaces, npm/yarn/pnpm workspace packages are discovered from the
+ * current directory, each paired with its own coverage report and optional
+ * .buuk-coverage.json, and changed files are reported per owning package
+ * with a rollup across packages.
+ *
+ * Coverage entries are matched to changed files by normalized absolute path:
+ * prefixes from other checkouts (Docker, CI roots) can be rewritten with
+ * --path-map, symlinks are resolved and --ignore-case folds case. Changed
+ * files with no coverage entry are listed in the report and, with
+ * --include-untested, counted as 0% covered.
+ *
+ * Statement, branch, function and line metrics are reported for both, each
+ * with its own threshold. With --diff-coverage, only code on lines added or
+ * modified in the PR diff is counted for changed files.
+ *
+ * Thresholds and per-path rules can be kept in a .buuk-coverage.json file in
+ * the consuming repository:
+ *
+ *   {
+ *     "thresholds": { "statements": 20, "branches": 10 },
+ *     "exclude": ["src/graphql/generated/**"],
+ *     "rules": [
+ *       { "pattern": "src/services/**", "threshold": 80 },
+ *       { "pattern": "src/migrations/**", "threshold": 0 },
+ *       { "pattern": "src/openapi/**", "exclude": true }
+ *     ]
+ *   }
+ *
+ * A rule's threshold is either a statement percentage or an object keyed by
+ * metric. The first matching rule wins; each file under a rule must meet that
+ * rule on its own, while files without a rule are judged together against the
+ * default thresholds.
+ *
+ * Given a base-branch coverage file or a summary written by --write-summary,
+ * global and per-file deltas are reported; --ratchet fails the check when
+ * global statement coverage drops by more than --ratchet-tolerance.
+ *
+ * Main-branch runs can append their global metrics to an NDJSON history file
+ * (--append-history). PR reports then show the trend of the last runs with
+ * the PR's projected global coverage. The history file is inspected and
+ * trimmed with the history subcommand:
+ *
+ *   node coverage-calculator.js history query --history-file coverage-history.ndjson --limit 10
+ *   node coverage-calculator.js history prune --history-file coverage-history.ndjson --keep 500
+ *
+ * --badge writes an SVG badge of global statement coverage, colored by the
+ * first band whose minimum it reaches (config "badge": { "colors": { "80":
+ * "brightgreen", ... } } or --badge-colors 80:brightgreen,50:yellow,0:red).
+ * --html-report writes a self-contained HTML page with per-file metrics and
+ * the source of each file, uncovered lines highlighted.
+ *
+ * Results are printed as KEY=value lines for the workflow, or as one JSON
+ * document with --output json. When run in GitHub Actions, the same values
+ * are written to $GITHUB_OUTPUT and the markdown report is appended to
+ * $GITHUB_STEP_SUMMARY. With --annotations, uncovered statements and branches
+ * on changed lines are also printed as ::warning workflow commands so they
+ * show up inline on the PR diff.
  * 
  * Usage:
  *   node coverage-calculator.js [options]
  * 
  * Options:
  *   --global              Calculate global coverage percentage
+ *   --all-metrics         With --global, print STATEMENTS_PCT=… style lines for every metric
  *   --changed-files       Calculate coverage for changed files only
- *   --coverage-file       Path to coverage-final.json (default: coverage/coverage-final.json)
+ *   --diff-coverage       Only count statements on changed lines (with --changed-files)
+ *   --coverage-file       Path or glob of the coverage report; repeat or comma-separate to merge several
+ *                         (default: first of coverage/coverage-final.json, coverage/lcov.info,
+ *                         coverage/cobertura-coverage.xml that exists)
+ *   --write-merged        Write the merged coverage as coverage-final.json to this path
+ *   --format              Coverage report format: istanbul, lcov, cobertura or auto (default: auto)
  *   --base-branch         Base branch for changed files comparison (default: main)
  *   --file-patterns       File patterns to include (default: .ts,.tsx,.js,.jsx)
- *   --source-dir          Source directory pattern (default: src/)
+ *   --source-dir          Source directory pattern (default: src/, relative to each package with --workspaces)
+ *   --workspaces          Report changed-file coverage per workspace package
+ *   --path-map            Rewrite a coverage path prefix, e.g. /app=. (repeatable)
+ *   --ignore-case         Match coverage paths case-insensitively
+ *   --include-untested    Count changed files without coverage data as 0% instead of skipping them
+ *   --threshold           Required statement coverage for changed files (alias of --statements-threshold)
+ *   --config              Coverage config file (default: .buuk-coverage.json, ignored when missing)
+ *   --statements-threshold  Required statement coverage for changed files (default: 20)
+ *   --branches-threshold    Required branch coverage for changed files (default: 0)
+ *   --functions-threshold   Required function coverage for changed files (default: 0)
+ *   --lines-threshold       Required line coverage for changed files (default: 0)
+ *   --base-coverage       Base branch coverage-final.json or summary to compare against
+ *   --ratchet             Fail when global coverage drops compared to --base-coverage
+ *   --ratchet-tolerance   Allowed global coverage drop in percentage points (default: 0)
+ *   --write-summary       Write a coverage summary for later use as --base-coverage
+ *   --output              Output format: text or json (default: text)
+ *   --annotations         Annotate uncovered changed lines on the PR diff (with --changed-files)
+ *   --max-annotations     Maximum number of annotations to emit (default and GitHub limit: 10)
+ *   --history-file        NDJSON coverage history (trend in the PR report, history subcommand)
+ *   --append-history      Append this run's global metrics to --history-file
+ *   --trend-length        Number of history entries in the trend (default: 20)
+ *   --badge               Write an SVG coverage badge to this path
+ *   --badge-colors        Badge color bands as min:color pairs, e.g. 80:brightgreen,50:yellow,0:red
+ *   --html-report         Write a self-contained HTML coverage report to this path
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const crypto = require('crypto');
+const { execFileSync, execSync } = require('child_process');
+
+const METRICS = ['statements', 'branches', 'functions', 'lines'];
+
+const DEFAULT_THRESHOLDS = {
+  statements: 20,
+  branches: 0,
+  functions: 0,
+  lines: 0
+};
+
+const DEFAULT_CONFIG_FILE = '.buuk-coverage.json';
+
+const DEFAULT_COVERAGE_FILES = [
+  'coverage/coverage-final.json',
+  'coverage/lcov.info',
+  'coverage/cobertura-coverage.xml'
+];
+
+const COVERAGE_FORMATS = ['auto', 'istanbul', 'lcov', 'cobertura'];
+
+const OUTPUT_FORMATS = ['text', 'json'];
+
+// GitHub shows at most 10 warning annotations per step and drops the rest
+const MAX_ANNOTATIONS = 10;
+
+const DEFAULT_TREND_LENGTH = 20;
+
+const SPARKLINE_CHARS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+// shields.io color names, so badge bands can use them as well as CSS colors
+const BADGE_COLOR_NAMES = {
+  brightgreen: '#4c1',
+  green: '#97ca00',
+  yellowgreen: '#a4a61d',
+  yellow: '#dfb317',
+  orange: '#fe7d37',
+  red: '#e05d44',
+  lightgrey: '#9f9f9f'
+};
+
+const DEFAULT_BADGE_COLORS = {
+  80: 'brightgreen',
+  60: 'green',
+  40: 'yellow',
+  20: 'orange',
+  0: 'red'
+};
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 const options = {
   global: args.includes('--global'),
+  allMetrics: args.includes('--all-metrics'),
   changedFiles: args.includes('--changed-files'),
-  coverageFile: getArgValue('--coverage-file') || 'coverage/coverage-final.json',
+  diffCoverage: args.includes('--diff-coverage'),
+  coverageFiles: getCoverageFileArgs(),
+  writeMerged: getArgValue('--write-merged'),
+  format: getArgValue('--format') || 'auto',
   baseBranch: getArgValue('--base-branch') || 'main',
   filePatterns: getArgValue('--file-patterns') || '.ts,.tsx,.js,.jsx',
-  sourceDir: getArgValue('--source-dir') || 'src/'
+  sourceDir: getArgValue('--source-dir') || 'src/',
+  workspaces: args.includes('--workspaces'),
+  ignoreCase: args.includes('--ignore-case'),
+  includeUntested: args.includes('--include-untested'),
+  configFile: getArgValue('--config'),
+  thresholds: getThresholdArgs(),
+  baseCoverage: getArgValue('--base-coverage'),
+  ratchet: args.includes('--ratchet'),
+  ratchetTolerance: parseFloat(getArgValue('--ratchet-tolerance')) || 0,
+  writeSummary: getArgValue('--write-summary'),
+  output: getArgValue('--output') || 'text',
+  annotations: args.includes('--annotations'),
+  maxAnnotations: getArgValue('--max-annotations') !== null
+    ? Math.min(parseInt(getArgValue('--max-annotations'), 10) || 0, MAX_ANNOTATIONS)
+    : MAX_ANNOTATIONS,
+  historyCommand: args[0] === 'history' ? (args[1] && !args[1].startsWith('--') ? args[1] : 'query') : null,
+  historyFile: getArgValue('--history-file'),
+  appendHistory: args.includes('--append-history'),
+  trendLength: parseInt(getArgValue('--trend-length'), 10) || DEFAULT_TREND_LENGTH,
+  badge: getArgValue('--badge'),
+  htmlReport: getArgValue('--html-report')
+};
+
+// Progress goes to stderr with --output json so stdout stays parseable
+function logProgress(message) {
+  if (options.output === 'json') {
+    console.error(message);
+  } else {
+    console.log(message);
+  }
+}
+
+function getArgValue(argName) {
+  const index = args.indexOf(argName);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+}
+
+// All values of a repeatable option, also splitting comma-separated lists
+function getArgValues(argName) {
+  const values = [];
+  args.forEach((arg, index) => {
+    if (arg === argName && index + 1 < args.length) {
+      values.push(...args[index + 1].split(',').map(value => value.trim()).filter(Boolean));
+    }
+  });
+  return values;
+}
+
+function getCoverageFileArgs() {
+  const files = getArgValues('--coverage-file');
+  if (files.length > 0) {
+    return files;
+  }
+  return [DEFAULT_COVERAGE_FILES.find(file => fs.existsSync(file)) || DEFAULT_COVERAGE_FILES[0]];
+}
+
+// Only thresholds passed explicitly on the command line, so they can
+// override the config file without the defaults doing so too
+function getThresholdArgs() {
+  const thresholds = {};
+  const threshold = getArgValue('--threshold');
+  if (threshold !== null && !isNaN(parseFloat(threshold))) {
+    thresholds.statements = parseFloat(threshold);
+  }
+
+  METRICS.forEach(metric => {
+    const value = getArgValue(`--${metric}-threshold`);
+    if (value !== null && !isNaN(parseFloat(value))) {
+      thresholds[metric] = parseFloat(value);
+    }
+  });
+  return thresholds;
+}
+
+function detectCoverageFormat(coverageFile, content) {
+  const extension = path.extname(coverageFile).toLowerCase();
+  if (extension === '.info' || extension === '.lcov') {
+    return 'lcov';
+  }
+  if (extension === '.xml') {
+    return 'cobertura';
+  }
+  if (extension === '.json') {
+    return 'istanbul';
+  }
+
+  const start = content.trimStart();
+  if (start.startsWith('<')) {
+    return 'cobertura';
+  }
+  if (/^(TN|SF):/m.test(start)) {
+    return 'lcov';
+  }
+  return 'istanbul';
+}
+
+function parseIstanbulCoverage(content) {
+  const data = JSON.parse(content);
+
+  // Raw NODE_V8_COVERAGE output has byte ranges, not source locations
+  if (Array.isArray(data.result) && data.result.some(script => script.functions)) {
+    throw new Error(
+      'raw V8 coverage is not supported; use the json reporter of c8 or Vitest (V8 provider) to produce coverage-final.json'
+    );
+  }
+
+  return data;
+}
+
+function lineLocation(startLine, endLine = startLine) {
+  return {
+    start: { line: startLine, column: 0 },
+    end: { line: endLine, column: 0 }
+  };
+}
+
+function createFileCoverage(filePath) {
+  return {
+    path: filePath,
+    statementMap: {},
+    s: {},
+    fnMap: {},
+    f: {},
+    branchMap: {},
+    b: {}
+  };
+}
+
+function resolveReportedPath(reportedPath, roots = []) {
+  if (path.isAbsolute(reportedPath)) {
+    return reportedPath;
+  }
+  const root = roots.find(candidate => fs.existsSync(path.resolve(candidate, reportedPath)));
+  return path.resolve(root || roots[0] || '.', reportedPath);
+}
+
+// lcov.info (nyc, c8, Vitest, genhtml tooling): one statement per DA line,
+// one branch group per BRDA line/block pair
+function parseLcovCoverage(content) {
+  const coverage = {};
+  let file = null;
+  let functionHits = {};
+  let branchGroups = {};
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    const separator = line.indexOf(':');
+    const key = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1);
+
+    if (key === 'SF') {
+      file = createFileCoverage(resolveReportedPath(value));
+      functionHits = {};
+      branchGroups = {};
+    } else if (!file) {
+      return;
+    } else if (key === 'FN') {
+      // FN:<line>,<name> or, since lcov 2.0, FN:<start>,<end>,<name>
+      const parts = value.split(',');
+      const startLine = parseInt(parts[0], 10);
+      const endLine = parts.length > 2 ? parseInt(parts[1], 10) : startLine;
+      const name = parts.slice(parts.length > 2 ? 2 : 1).join(',');
+      const id = Object.keys(file.fnMap).length;
+      file.fnMap[id] = {
+        name,
+        line: startLine,
+        decl: lineLocation(startLine),
+        loc: lineLocation(startLine, endLine)
+      };
+      file.f[id] = 0;
+    } else if (key === 'FNDA') {
+      const [hits, ...name] = value.split(',');
+      functionHits[name.join(',')] = parseInt(hits, 10) || 0;
+    } else if (key === 'DA') {
+      const [lineNumber, hits] = value.split(',');
+      const id = Object.keys(file.statementMap).length;
+      file.statementMap[id] = lineLocation(parseInt(lineNumber, 10));
+      file.s[id] = parseInt(hits, 10) || 0;
+    } else if (key === 'BRDA') {
+      const [lineNumber, block, , taken] = value.split(',');
+      const groupKey = `${lineNumber}:${block}`;
+      if (branchGroups[groupKey] === undefined) {
+        const id = Object.keys(file.branchMap).length;
+        const location = lineLocation(parseInt(lineNumber, 10));
+        file.branchMap[id] = { line: location.start.line, type: 'branch', loc: location, locations: [] };
+        file.b[id] = [];
+        branchGroups[groupKey] = id;
+      }
+      const id = branchGroups[groupKey];
+      file.branchMap[id].locations.push(file.branchMap[id].loc);
+      file.b[id].push(taken === '-' ? 0 : parseInt(taken, 10) || 0);
+    } else if (key === 'end_of_record') {
+      Object.keys(file.fnMap).forEach(id => {
+        file.f[id] = functionHits[file.fnMap[id].name] || 0;
+      });
+      coverage[file.path] = file;
+      file = null;
+    }
+  });
+
+  return coverage;
+}
+
+function parseXmlAttributes(tag) {
+  const attributes = {};
+  const pattern = /([\w:-]+)\s*=\s*"([^"]*)"/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1]] = match[2]
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+  return attributes;
+}
+
+function parseCoberturaLines(xml) {
+  const lines = [];
+  const pattern = /<line\b([^>]*?)\/?>/g;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    lines.push(parseXmlAttributes(match[1]));
+  }
+  return lines;
+}
+
+// Cobertura XML (coverage.py, cobertura reporters): class-level <line>
+// elements become statements, <method> elements functions and
+// condition-coverage="50% (1/2)" a branch group with one entry per condition
+function parseCoberturaCoverage(content) {
+  const coverage = {};
+  const sources = [];
+  const sourcePattern = /<source>([^<]*)<\/source>/g;
+  let match;
+  while ((match = sourcePattern.exec(content)) !== null) {
+    sources.push(match[1].trim());
+  }
+
+  const classPattern = /<class\b([^>]*?)(?:\/>|>([\s\S]*?)<\/class>)/g;
+  while ((match = classPattern.exec(content)) !== null) {
+    const attributes = parseXmlAttributes(match[1]);
+    const body = match[2] || '';
+    if (!attributes.filename) {
+      continue;
+    }
+
+    const filePath = resolveReportedPath(attributes.filename, sources);
+    // Several classes can share one source file
+    const file = coverage[filePath] || (coverage[filePath] = createFileCoverage(filePath));
+
+    const methodPattern = /<method\b([^>]*?)(?:\/>|>([\s\S]*?)<\/method>)/g;
+    let method;
+    while ((method = methodPattern.exec(body)) !== null) {
+      const methodLines = parseCoberturaLines(method[2] || '')
+        .map(line => ({ number: parseInt(line.number, 10), hits: parseInt(line.hits, 10) || 0 }))
+        .filter(line => !isNaN(line.number));
+      if (methodLines.length === 0) {
+        continue;
+      }
+      const numbers = methodLines.map(line => line.number);
+      const startLine = Math.min(...numbers);
+      const id = Object.keys(file.fnMap).length;
+      file.fnMap[id] = {
+        name: parseXmlAttributes(method[1]).name || `(method ${id})`,
+        line: startLine,
+        decl: lineLocation(startLine),
+        loc: lineLocation(startLine, Math.max(...numbers))
+      };
+      file.f[id] = methodLines.some(line => line.hits > 0) ? 1 : 0;
+    }
+
+    const classLines = parseCoberturaLines(body.replace(/<methods>[\s\S]*?<\/methods>/g, ''));
+    classLines.forEach(line => {
+      const lineNumber = parseInt(line.number, 10);
+      if (isNaN(lineNumber)) {
+        return;
+      }
+      const hits = parseInt(line.hits, 10) || 0;
+      const id = Object.keys(file.statementMap).length;
+      file.statementMap[id] = lineLocation(lineNumber);
+      file.s[id] = hits;
+
+      const conditions = (line['condition-coverage'] || '').match(/\((\d+)\/(\d+)\)/);
+      if (line.branch === 'true' && conditions) {
+        const covered = parseInt(conditions[1], 10);
+        const total = parseInt(conditions[2], 10);
+        const branchId = Object.keys(file.branchMap).length;
+        const location = lineLocation(lineNumber);
+        file.branchMap[branchId] = {
+          line: lineNumber,
+          type: 'branch',
+          loc: location,
+          locations: Array.from({ length: total }, () => location)
+        };
+        file.b[branchId] = Array.from({ length: total }, (_, index) => (index < covered ? 1 : 0));
+      }
+    });
+  }
+
+  return coverage;
+}
+
+const COVERAGE_PARSERS = {
+  istanbul: parseIstanbulCoverage,
+  lcov: parseLcovCoverage,
+  cobertura: parseCoberturaCoverage
 };
 
-function getArgValue(argName) {
-  const index = args.indexOf(argName);
-  return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+function readCoverageFile(coverageFile = options.coverageFiles[0], format = options.format) {
+  if (!fs.existsSync(coverageFile)) {
+    console.error(`❌ Coverage file not found: ${coverageFile}`);
+    process.exit(1);
+  }
+
+  if (!COVERAGE_FORMATS.includes(format)) {
+    console.error(`❌ Unknown coverage format: ${format} (expected ${COVERAGE_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  try {
+    const content = fs.readFileSync(coverageFile, 'utf8');
+    const resolvedFormat = format === 'auto' ? detectCoverageFormat(coverageFile, content) : format;
+    return COVERAGE_PARSERS[resolvedFormat](content);
+  } catch (error) {
+    console.error(`❌ Failed to parse coverage file: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function hasGlob(pattern) {
+  return /[*?{]/.test(pattern);
+}
+
+function walkFiles(dir, files = []) {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    return files;
+  }
+
+  entries.forEach(entry => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules' && entry.name !== '.git') {
+        walkFiles(entryPath, files);
+      }
+    } else {
+      files.push(entryPath);
+    }
+  });
+  return files;
+}
+
+// Expand a list of paths and globs into existing files, in a stable order
+function expandCoverageFiles(patterns) {
+  const files = [];
+
+  patterns.forEach(pattern => {
+    if (!hasGlob(pattern)) {
+      files.push(pattern);
+      return;
+    }
+
+    const segments = pattern.split('/');
+    const staticSegments = [];
+    while (segments.length > 1 && !hasGlob(segments[0])) {
+      staticSegments.push(segments.shift());
+    }
+    const baseDir = staticSegments.join('/') || '.';
+    const matcher = globToRegExp(pattern.replace(/^\.\//, ''));
+
+    walkFiles(baseDir)
+      .map(file => path.relative('.', file).split(path.sep).join('/'))
+      .filter(file => matcher.test(file))
+      .sort()
+      .forEach(file => files.push(file));
+  });
+
+  return Array.from(new Set(files));
+}
+
+let pathSettings = null;
+
+// Prefix rewrites and case handling from --path-map/--ignore-case and the
+// config file's pathMap/ignoreCase, resolved once per run
+function getPathSettings() {
+  if (!pathSettings) {
+    const config = loadConfig();
+    const rewrites = { ...(config.pathMap || {}) };
+    getArgValues('--path-map').forEach(mapping => {
+      const separator = mapping.indexOf('=');
+      if (separator > 0) {
+        rewrites[mapping.slice(0, separator)] = mapping.slice(separator + 1) || '.';
+      }
+    });
+
+    pathSettings = {
+      // Longest prefix first so /app/packages wins over /app
+      rewrites: Object.entries(rewrites).sort((a, b) => b[0].length - a[0].length),
+      ignoreCase: options.ignoreCase || !!config.ignoreCase
+    };
+  }
+  return pathSettings;
+}
+
+function rewritePathPrefix(filePath, rewrites) {
+  for (const [from, to] of rewrites) {
+    const prefix = from.replace(/\/+$/, '');
+    if (filePath === prefix || filePath.startsWith(`${prefix}/`)) {
+      return path.resolve(to, `.${filePath.slice(prefix.length)}`);
+    }
+  }
+  return filePath;
+}
+
+// Bring a path from any report (another runner, a container, Windows) to
+// the real absolute path of the file in this checkout. Paths from another
+// checkout only match through an explicit prefix rewrite: guessing by
+// suffix would pair lib/src/a/index.ts with src/a/index.ts.
+function normalizeSourcePath(filePath) {
+  const { rewrites } = getPathSettings();
+  let normalized = path.resolve(rewritePathPrefix(filePath.split('\\').join('/'), rewrites));
+
+  try {
+    normalized = fs.realpathSync(normalized);
+  } catch (error) {
+    // Not present locally; keep the rewritten path
+  }
+  return normalized;
+}
+
+function sourcePathKey(filePath) {
+  const normalized = normalizeSourcePath(filePath);
+  return getPathSettings().ignoreCase ? normalized.toLowerCase() : normalized;
+}
+
+function indexCoverageByPath(coverage) {
+  const index = new Map();
+  Object.values(coverage).forEach(fileData => {
+    if (fileData && fileData.path) {
+      index.set(sourcePathKey(fileData.path), fileData);
+    }
+  });
+  return index;
+}
+
+// Declarations that compile to nothing: interfaces, type aliases, ambient
+// declarations and class fields without an initializer
+const TYPE_ONLY_DECLARATION = /^(export\s+)?(declare\s+|interface\s|type\s+[\w$]+.*=|abstract\s+[\w$]+.*;$)/;
+const FIELD_DECLARATION = /^((public|private|protected|readonly|static|declare|override)\s+)*[\w$]+[?!]?\s*:[^=]*;$/;
+
+// Changed files no test loaded have no statement map; approximate one
+// statement per line of runtime code so they can be counted as 0% covered
+function estimateUntestedMetrics(file, lineSet = null) {
+  const metrics = emptyMetrics();
+  const codeLines = [];
+  let inBlockComment = false;
+  // Open brackets of the type-only declaration being skipped, or null, and
+  // whether its last line expects a continuation (type A =, | 'b')
+  let typeDepth = null;
+  let typeContinues = false;
+
+  fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((text, index) => {
+    let code = text.trim();
+
+    if (inBlockComment) {
+      if (!code.includes('*/')) {
+        return;
+      }
+      inBlockComment = false;
+      code = code.slice(code.indexOf('*/') + 2).trim();
+    }
+    if (code.startsWith('/*')) {
+      if (!code.includes('*/')) {
+        inBlockComment = true;
+        return;
+      }
+      code = code.slice(code.indexOf('*/') + 2).trim();
+    }
+
+    const brackets = (code.match(/[{([]/g) || []).length - (code.match(/[})\]]/g) || []).length;
+    if (typeDepth !== null) {
+      if (typeDepth > 0 || typeContinues || /^[|&]/.test(code)) {
+        typeDepth += brackets;
+        typeContinues = /[=|&]$/.test(code);
+        return;
+      }
+      typeDepth = null;
+    }
+    if (TYPE_ONLY_DECLARATION.test(code)) {
+      typeDepth = brackets;
+      typeContinues = /[=|&]$/.test(code);
+      return;
+    }
+
+    const isCode = code &&
+      !code.startsWith('//') &&
+      !/^[{}()[\];,\s]*(else|try|finally)?[{}()[\];,\s]*$/.test(code) &&
+      !/^import\b/.test(code) &&
+      !/^export\b.*\bfrom\b/.test(code) &&
+      !FIELD_DECLARATION.test(code);
+    if (isCode && (!lineSet || lineSet.has(index + 1))) {
+      codeLines.push(index + 1);
+    }
+  });
+
+  metrics.statements.total = codeLines.length;
+  metrics.lines.total = codeLines.length;
+
+  return {
+    ...metrics,
+    uncoveredLines: codeLines,
+    uncoveredBranchLines: []
+  };
+}
+
+function locationKey(location) {
+  if (!location || !location.start) {
+    return 'unknown';
+  }
+  const { start, end = start } = location;
+  return `${start.line}:${start.column}-${end.line}:${end.column}`;
+}
+
+// Merge one counter map (statements, functions or branches) by source
+// location, since ids differ between instrumenters
+function mergeCounters(target, source, mapKey, countKey, keyOf, add) {
+  target[mapKey] = target[mapKey] || {};
+  target[countKey] = target[countKey] || {};
+
+  // Entries sharing a location within one report are paired up in order
+  const index = {};
+  let nextId = 0;
+  Object.keys(target[mapKey]).forEach(id => {
+    const key = keyOf(target[mapKey][id]);
+    (index[key] = index[key] || []).push(id);
+    nextId = Math.max(nextId, parseInt(id, 10) + 1 || 0);
+  });
+
+  const occurrences = {};
+  Object.keys(source[mapKey] || {}).forEach(id => {
+    const key = keyOf(source[mapKey][id]);
+    const occurrence = occurrences[key] = (occurrences[key] || 0) + 1;
+    const existing = (index[key] || [])[occurrence - 1];
+    const counts = source[countKey][id];
+
+    if (existing === undefined) {
+      const newId = String(nextId++);
+      target[mapKey][newId] = source[mapKey][id];
+      target[countKey][newId] = Array.isArray(counts) ? counts.slice() : counts;
+      (index[key] = index[key] || []).push(newId);
+    } else {
+      target[countKey][existing] = add(target[countKey][existing], counts);
+    }
+  });
+}
+
+function sumBranchCounts(a = [], b = []) {
+  return Array.from({ length: Math.max(a.length, b.length) }, (_, index) => (a[index] || 0) + (b[index] || 0));
+}
+
+function mergeFileCoverage(target, source) {
+  mergeCounters(target, source, 'statementMap', 's', locationKey, (a, b) => (a || 0) + (b || 0));
+  mergeCounters(target, source, 'fnMap', 'f', fn => `${fn.name}@${locationKey(fn.decl || fn.loc)}`, (a, b) => (a || 0) + (b || 0));
+  mergeCounters(target, source, 'branchMap', 'b', branch => `${branch.type}@${locationKey(branch.loc)}`, sumBranchCounts);
+  return target;
+}
+
+// Sum hit counts of several reports into one Istanbul coverage map keyed by
+// normalized source path
+function mergeCoverage(coverages) {
+  const merged = {};
+
+  coverages.forEach(coverage => {
+    Object.values(coverage).forEach(fileData => {
+      if (!fileData || !fileData.path) {
+        return;
+      }
+      const filePath = normalizeSourcePath(fileData.path);
+      if (merged[filePath]) {
+        mergeFileCoverage(merged[filePath], fileData);
+      } else {
+        merged[filePath] = mergeFileCoverage(
+          { ...createFileCoverage(filePath), ...fileData, path: filePath, statementMap: {}, s: {}, fnMap: {}, f: {}, branchMap: {}, b: {} },
+          fileData
+        );
+      }
+    });
+  });
+
+  return merged;
+}
+
+function readCoverage(coverageFiles = options.coverageFiles) {
+  const files = expandCoverageFiles(coverageFiles);
+
+  if (files.length === 0) {
+    console.error(`❌ No coverage files match: ${coverageFiles.join(', ')}`);
+    process.exit(1);
+  }
+  if (files.length === 1) {
+    return readCoverageFile(files[0]);
+  }
+
+  console.error(`🔀 Merging ${files.length} coverage reports:`);
+  files.forEach(file => console.error(`  - ${file}`));
+  return mergeCoverage(files.map(file => readCoverageFile(file)));
+}
+
+function loadConfig(configFile = options.configFile) {
+  const file = configFile || DEFAULT_CONFIG_FILE;
+
+  if (!fs.existsSync(file)) {
+    if (configFile) {
+      console.error(`❌ Coverage config file not found: ${file}`);
+      process.exit(1);
+    }
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Failed to parse coverage config ${file}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// A threshold is either a bare statement percentage or an object keyed by metric
+function mergeThresholds(base, override) {
+  if (override === undefined || override === null) {
+    return { ...base };
+  }
+  if (typeof override === 'number') {
+    return { ...base, statements: override };
+  }
+
+  const merged = { ...base };
+  METRICS.forEach(metric => {
+    if (typeof override[metric] === 'number') {
+      merged[metric] = override[metric];
+    }
+  });
+  return merged;
+}
+
+// Translate a glob into a RegExp: ** crosses directories, * and ? stay
+// within one path segment, {a,b} alternates
+function globToRegExp(glob) {
+  let pattern = '';
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const slashFollows = glob[i + 2] === '/';
+        pattern += slashFollows ? '(?:.*/)?' : '.*';
+        i += slashFollows ? 2 : 1;
+      } else {
+        pattern += '[^/]*';
+      }
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      pattern += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      pattern += ')';
+    } else if (char === ',' && inGroup) {
+      pattern += '|';
+    } else {
+      pattern += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${pattern}$`);
+}
+
+function matchesGlob(file, globs) {
+  return [].concat(globs || []).some(glob => globToRegExp(glob).test(file));
+}
+
+// Resolve the default thresholds, exclusions and per-path rules from the
+// config file and command line (command line wins)
+function buildCoveragePolicy(config = loadConfig(), root = null) {
+  const thresholds = mergeThresholds(
+    mergeThresholds(DEFAULT_THRESHOLDS, config.thresholds),
+    options.thresholds
+  );
+
+  const rules = (config.rules || []).map(rule => ({
+    name: rule.name || [].concat(rule.pattern).join(', '),
+    pattern: rule.pattern,
+    exclude: !!rule.exclude,
+    thresholds: mergeThresholds(thresholds, rule.threshold !== undefined ? rule.threshold : rule.thresholds)
+  }));
+
+  return {
+    thresholds,
+    exclude: config.exclude || [],
+    rules,
+    includeUntested: options.includeUntested || !!config.includeUntested,
+    // Globs are relative to this directory (a workspace package) when set
+    root
+  };
+}
+
+function findRule(file, policy) {
+  return policy.rules.find(rule => matchesGlob(file, rule.pattern)) || null;
+}
+
+function formatPercentage(covered, total, empty = 'N/A') {
+  return total > 0 ? ((covered / total) * 100).toFixed(2) : empty;
+}
+
+function formatPercentageLabel(percentage) {
+  return percentage === 'N/A' ? percentage : `${percentage}%`;
+}
+
+function emptyMetrics() {
+  const metrics = {};
+  METRICS.forEach(metric => {
+    metrics[metric] = { covered: 0, total: 0 };
+  });
+  return metrics;
+}
+
+function addMetrics(target, source) {
+  METRICS.forEach(metric => {
+    target[metric].covered += source[metric].covered;
+    target[metric].total += source[metric].total;
+  });
+  return target;
+}
+
+function withPercentages(metrics) {
+  METRICS.forEach(metric => {
+    metrics[metric].percentage = formatPercentage(metrics[metric].covered, metrics[metric].total);
+  });
+  return metrics;
+}
+
+function calculateGlobalMetrics(coverage) {
+  const metrics = emptyMetrics();
+
+  Object.values(coverage).forEach(fileData => {
+    addMetrics(metrics, calculateFileMetrics(fileData));
+  });
+
+  return withPercentages(metrics);
+}
+
+function calculateGlobalCoverage(coverage) {
+  const { statements } = calculateGlobalMetrics(coverage);
+  return formatPercentage(statements.covered, statements.total, '0.00');
+}
+
+function getChangedFiles() {
+  try {
+    // Ensure we have the base branch
+    execSync(`git fetch origin ${options.baseBranch}:${options.baseBranch}`, { stdio: 'pipe' });
+    
+    // Get changed files, relative to the working directory; workspace mode
+    // filters by each package's source directory later
+    const patterns = options.filePatterns.split(',').map(p => p.trim()).join('|');
+    const regex = `\\.(${patterns.replace(/\./g, '')})$`;
+    const sourceFilter = options.workspaces ? '' : ` | grep '^${options.sourceDir}'`;
+    
+    const changedFiles = execSync(
+      `git diff --name-only --relative origin/${options.baseBranch}...HEAD | grep -E '${regex}'${sourceFilter} || true`,
+      { encoding: 'utf8', stdio: 'pipe' }
+    ).trim();
+
+    return changedFiles ? changedFiles.split('\n').filter(Boolean) : [];
+  } catch (error) {
+    console.error(`❌ Failed to get changed files: ${error.message}`);
+    return [];
+  }
+}
+
+function getChangedLines(changedFiles) {
+  if (changedFiles.length === 0) {
+    return {};
+  }
+
+  try {
+    // Paths go to git as arguments, never through a shell
+    const diff = execFileSync(
+      'git',
+      ['diff', '--unified=0', '--no-color', '--relative', `origin/${options.baseBranch}...HEAD`, '--', ...changedFiles],
+      { encoding: 'utf8', stdio: 'pipe', maxBuffer: 64 * 1024 * 1024 }
+    );
+
+    return parseDiffHunks(diff);
+  } catch (error) {
+    console.error(`❌ Failed to get changed lines: ${error.message}`);
+    return {};
+  }
+}
+
+// Map each file in a zero-context unified diff to the set of line numbers
+// added or modified on the new side of the hunks.
+function parseDiffHunks(diff) {
+  const changedLines = {};
+  let currentFile = null;
+
+  diff.split('\n').forEach(line => {
+    if (line.startsWith('+++ ')) {
+      const target = line.slice(4).trim();
+      currentFile = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      if (currentFile && !changedLines[currentFile]) {
+        changedLines[currentFile] = new Set();
+      }
+      return;
+    }
+
+    const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+    if (hunk && currentFile) {
+      const start = parseInt(hunk[1], 10);
+      const count = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+      for (let lineNumber = start; lineNumber < start + count; lineNumber++) {
+        changedLines[currentFile].add(lineNumber);
+      }
+    }
+  });
+
+  return changedLines;
+}
+
+function linesInRange(location, lineSet) {
+  const lines = [];
+  for (let line = location.start.line; line <= location.end.line; line++) {
+    if (!lineSet || lineSet.has(line)) {
+      lines.push(line);
+    }
+  }
+  return lines;
+}
+
+// Group sorted line numbers into [start, end] runs of consecutive lines
+function groupLineRanges(lines) {
+  const ranges = [];
+  lines.forEach(line => {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last[1] + 1) {
+      last[1] = line;
+    } else {
+      ranges.push([line, line]);
+    }
+  });
+  return ranges;
+}
+
+// Collapse sorted line numbers into "3-5, 9" style ranges
+function formatLineRanges(lines) {
+  return groupLineRanges(lines)
+    .map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`))
+    .join(', ');
+}
+
+// Count covered/total for every metric of one Istanbul file entry. When a
+// line set is given, only code touching those lines is counted.
+function calculateFileMetrics(fileData, lineSet = null) {
+  const metrics = emptyMetrics();
+  const uncoveredLines = new Set();
+  const uncoveredBranchLines = new Set();
+  const lineHits = {};
+
+  Object.keys(fileData.s || {}).forEach(id => {
+    const location = fileData.statementMap && fileData.statementMap[id];
+    let lines = [];
+
+    if (location) {
+      lines = linesInRange(location, lineSet);
+      if (lineSet && lines.length === 0) {
+        return;
+      }
+    } else if (lineSet) {
+      return;
+    }
+
+    const hits = fileData.s[id];
+    metrics.statements.total++;
+    if (hits > 0) {
+      metrics.statements.covered++;
+    } else if (location) {
+      // Whole-file mode points at the statement's first line only
+      (lineSet ? lines : [location.start.line]).forEach(line => uncoveredLines.add(line));
+    }
+
+    // Line coverage follows Istanbul: a line is covered when any statement
+    // starting on it was executed
+    if (location && (!lineSet || lineSet.has(location.start.line))) {
+      const line = location.start.line;
+      lineHits[line] = Math.max(lineHits[line] || 0, hits);
+    }
+  });
+
+  Object.values(lineHits).forEach(hits => {
+    metrics.lines.total++;
+    if (hits > 0) {
+      metrics.lines.covered++;
+    }
+  });
+
+  Object.keys(fileData.b || {}).forEach(id => {
+    const branch = fileData.branchMap && fileData.branchMap[id];
+    fileData.b[id].forEach((hits, index) => {
+      const location = branch && ((branch.locations && branch.locations[index]) || branch.loc);
+      if (lineSet && !(location && linesInRange(location, lineSet).length > 0)) {
+        return;
+      }
+
+      metrics.branches.total++;
+      if (hits > 0) {
+        metrics.branches.covered++;
+      } else if (location && location.start.line) {
+        uncoveredBranchLines.add(location.start.line);
+      }
+    });
+  });
+
+  Object.keys(fileData.f || {}).forEach(id => {
+    const fn = fileData.fnMap && fileData.fnMap[id];
+    const location = fn && (fn.loc || fn.decl);
+    if (lineSet && !(location && linesInRange(location, lineSet).length > 0)) {
+      return;
+    }
+
+    metrics.functions.total++;
+    if (fileData.f[id] > 0) {
+      metrics.functions.covered++;
+    }
+  });
+
+  const sortLines = lines => Array.from(lines).sort((a, b) => a - b);
+
+  return {
+    ...metrics,
+    uncoveredLines: sortLines(uncoveredLines),
+    uncoveredBranchLines: sortLines(uncoveredBranchLines)
+  };
+}
+
+function evaluateThresholds(metrics, thresholds) {
+  const results = {};
+  METRICS.forEach(metric => {
+    const { covered, total } = metrics[metric];
+    // Nothing to cover means nothing can be missed
+    results[metric] = total === 0 || (covered / total) * 100 >= thresholds[metric];
+  });
+  return {
+    metrics: results,
+    passed: Object.values(results).every(Boolean)
+  };
+}
+
+function calculateChangedFilesCoverage(coverage, changedFiles, changedLines = null, policy = buildCoveragePolicy()) {
+  const { thresholds } = policy;
+
+  if (changedFiles.length === 0) {
+    return {
+      percentage: 'N/A',
+      totalLines: 0,
+      coveredLines: 0,
+      metrics: withPercentages(emptyMetrics()),
+      thresholds,
+      passed: false,
+      files: [],
+      excludedFiles: [],
+      untestedFiles: [],
+      message: `No ${options.filePatterns} files changed in ${options.sourceDir}`
+    };
+  }
+
+  logProgress(changedLines
+    ? '📋 Checking coverage for changed lines in:'
+    : '📋 Checking coverage for changed files:');
+  changedFiles.forEach(file => logProgress(`  - ${file}`));
+
+  const totals = emptyMetrics();
+  const defaultTotals = emptyMetrics();
+  const fileDetails = [];
+  const excludedFiles = [];
+  const untestedFiles = [];
+  const coverageIndex = indexCoverageByPath(coverage);
+  let filesWithoutChangedStatements = 0;
+
+  changedFiles.forEach(file => {
+    const policyPath = policy.root ? path.relative(policy.root, file).split(path.sep).join('/') : file;
+    const rule = findRule(policyPath, policy);
+    if (matchesGlob(policyPath, policy.exclude) || (rule && rule.exclude)) {
+      excludedFiles.push({ file, rule: rule ? rule.name : 'exclude' });
+      logProgress(`    ${file}: Excluded${rule ? ` by rule ${rule.name}` : ''}`);
+      return;
+    }
+
+    if (fs.existsSync(file)) {
+      const fileData = coverageIndex.get(sourcePathKey(file));
+      const lineSet = changedLines ? changedLines[file] || new Set() : null;
+      const hasCoverage = !!(fileData && fileData.s);
+
+      if (!hasCoverage) {
+        const estimate = estimateUntestedMetrics(file, lineSet);
+        untestedFiles.push({
+          file,
+          counted: policy.includeUntested,
+          statements: estimate.statements.total
+        });
+        logProgress(`    ${file}: No coverage data found${policy.includeUntested ? ', counted as 0%' : ''}`);
+      }
+
+      if (hasCoverage || policy.includeUntested) {
+        const fileMetrics = hasCoverage
+          ? calculateFileMetrics(fileData, lineSet)
+          : estimateUntestedMetrics(file, lineSet);
+        const fileCovered = fileMetrics.statements.covered;
+        const fileTotal = fileMetrics.statements.total;
+
+        addMetrics(totals, fileMetrics);
+        if (!rule) {
+          addMetrics(defaultTotals, fileMetrics);
+        }
+
+        if (fileTotal > 0) {
+          const filePercentage = formatPercentage(fileCovered, fileTotal);
+          const metrics = withPercentages({
+            statements: fileMetrics.statements,
+            branches: fileMetrics.branches,
+            functions: fileMetrics.functions,
+            lines: fileMetrics.lines
+          });
+          const fileThresholds = rule ? rule.thresholds : thresholds;
+          fileDetails.push({
+            file,
+            covered: fileCovered,
+            total: fileTotal,
+            percentage: filePercentage,
+            metrics,
+            rule: rule ? rule.name : 'default',
+            thresholds: fileThresholds,
+            passed: evaluateThresholds(metrics, fileThresholds).passed,
+            untested: !hasCoverage,
+            uncoveredLines: fileMetrics.uncoveredLines,
+            uncoveredBranchLines: fileMetrics.uncoveredBranchLines
+          });
+          logProgress(`    ${file}: ${METRICS.map(metric => `${metric} ${metrics[metric].covered}/${metrics[metric].total}`).join(', ')} (${filePercentage}% statements, rule: ${rule ? rule.name : 'default'})`);
+          if (fileMetrics.uncoveredLines.length > 0) {
+            logProgress(`      Uncovered lines: ${formatLineRanges(fileMetrics.uncoveredLines)}`);
+          }
+        } else if (changedLines) {
+          if (hasCoverage) {
+            filesWithoutChangedStatements++;
+          }
+          logProgress(`    ${file}: No statements on changed lines`);
+        }
+      }
+    }
+  });
+
+  const totalLines = totals.statements.total;
+  const coveredLines = totals.statements.covered;
+  // Covered files whose changed lines hold no statements (comments, types)
+  // have nothing to measure, which passes as N/A rather than 0%
+  const noChangedStatements = totalLines === 0 && filesWithoutChangedStatements > 0;
+  const overallPercentage = formatPercentage(coveredLines, totalLines, noChangedStatements ? 'N/A' : '0.00');
+  const scope = changedLines ? 'changed lines' : 'changed files';
+  const evaluation = evaluateThresholds(defaultTotals, thresholds);
+  const rulesPassed = fileDetails.every(detail => detail.rule === 'default' || detail.passed);
+  // An empty statement total keeps failing as it did before per-metric
+  // checks, unless every changed file was deliberately excluded or only
+  // statement-free lines changed
+  const hasCoverage = totalLines > 0 || noChangedStatements ||
+    (excludedFiles.length > 0 && fileDetails.length === 0);
+
+  return {
+    percentage: overallPercentage,
+    totalLines,
+    coveredLines,
+    metrics: withPercentages(totals),
+    defaultMetrics: withPercentages(defaultTotals),
+    thresholds,
+    thresholdResults: evaluation.metrics,
+    passed: hasCoverage && evaluation.passed && rulesPassed,
+    files: fileDetails,
+    excludedFiles,
+    untestedFiles,
+    mode: changedLines ? 'diff' : 'file',
+    message: `Overall coverage for ${scope}: ${coveredLines}/${totalLines} (${formatPercentageLabel(overallPercentage)})`
+  };
+}
+
+// Compact form of a coverage run (global and per-file metrics) that can be
+// stored as an artifact and compared against in later runs
+function summarizeCoverage(coverage) {
+  const files = {};
+
+  Object.values(coverage).forEach(fileData => {
+    if (!fileData.path) {
+      return;
+    }
+    const file = path.isAbsolute(fileData.path)
+      ? path.relative(process.cwd(), fileData.path)
+      : fileData.path;
+    const fileMetrics = calculateFileMetrics(fileData);
+    const metrics = {};
+    METRICS.forEach(metric => {
+      metrics[metric] = fileMetrics[metric];
+    });
+    files[file] = withPercentages(metrics);
+  });
+
+  return {
+    timestamp: new Date().toISOString(),
+    global: calculateGlobalMetrics(coverage),
+    files
+  };
+}
+
+// Accept either a stored summary or a raw coverage-final.json
+function readCoverageSummary(file) {
+  const data = readCoverageFile(file, 'auto');
+  return data.global && data.files ? data : summarizeCoverage(data);
+}
+
+const summaryIndexes = new WeakMap();
+
+// Look files up by the same normalized path key as coverage data, so the
+// base entry for other/src/a.ts is never taken for src/a.ts
+function findFileSummary(summary, file) {
+  if (!summaryIndexes.has(summary)) {
+    const index = new Map();
+    Object.entries(summary.files).forEach(([candidate, metrics]) => {
+      index.set(sourcePathKey(candidate), metrics);
+    });
+    summaryIndexes.set(summary, index);
+  }
+  return summaryIndexes.get(summary).get(sourcePathKey(file)) || null;
+}
+
+function percentageDelta(current, base) {
+  if (!current || !base || current.total === 0 || base.total === 0) {
+    return null;
+  }
+  const delta = parseFloat(current.percentage) - parseFloat(base.percentage);
+  return parseFloat(delta.toFixed(2));
+}
+
+function calculateCoverageDelta(currentSummary, baseSummary, files) {
+  const global = {};
+  METRICS.forEach(metric => {
+    global[metric] = {
+      base: baseSummary.global[metric].percentage,
+      current: currentSummary.global[metric].percentage,
+      delta: percentageDelta(currentSummary.global[metric], baseSummary.global[metric])
+    };
+  });
+
+  // Per-file deltas compare whole files, even in diff coverage mode
+  const fileDeltas = {};
+  files.forEach(file => {
+    const current = findFileSummary(currentSummary, file);
+    const base = findFileSummary(baseSummary, file);
+    fileDeltas[file] = {
+      base: base ? base.statements.percentage : null,
+      current: current ? current.statements.percentage : null,
+      delta: base ? percentageDelta(current && current.statements, base.statements) : null,
+      isNew: !base
+    };
+  });
+
+  return { global, files: fileDeltas };
+}
+
+function evaluateRatchet(delta, tolerance = options.ratchetTolerance) {
+  const drop = delta.global.statements.delta;
+  return {
+    tolerance,
+    delta: drop,
+    passed: drop === null || drop >= -tolerance
+  };
+}
+
+function formatDelta(delta) {
+  if (delta === null || delta === undefined) {
+    return '';
+  }
+  if (delta > 0) {
+    return `▲${delta.toFixed(2)}%`;
+  }
+  if (delta < 0) {
+    return `▼${Math.abs(delta).toFixed(2)}%`;
+  }
+  return '±0.00%';
+}
+
+function formatMetricCell(metric) {
+  return metric.total > 0
+    ? `${metric.percentage}% (${metric.covered}/${metric.total})`
+    : 'N/A';
+}
+
+function formatSparkline(values) {
+  if (values.length === 0) {
+    return '';
+  }
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values.map(value => {
+    const level = max === min
+      ? Math.floor(SPARKLINE_CHARS.length / 2)
+      : Math.round(((value - min) / (max - min)) * (SPARKLINE_CHARS.length - 1));
+    return SPARKLINE_CHARS[level];
+  }).join('');
+}
+
+function formatTrendSection(trend) {
+  if (trend.points.length === 0) {
+    return '';
+  }
+
+  // The PR's projected point is drawn last, on the same scale
+  const values = trend.points.map(point => point.statements);
+  const sparkline = formatSparkline(trend.projected !== null ? [...values, trend.projected] : values);
+  const projected = trend.projected !== null ? `, **${trend.projected.toFixed(2)}%** with this PR` : '';
+  return `
+#### 📈 Global statement coverage trend (last ${values.length} runs on ${options.baseBranch})
+
+\`${sparkline}\` ${values[0].toFixed(2)}% → ${values[values.length - 1].toFixed(2)}%${projected}
+`;
+}
+
+function formatGlobalLine(globalCoverage, delta) {
+  const globalCells = METRICS.map(metric => {
+    const change = delta ? formatDelta(delta.global[metric].delta) : '';
+    const { percentage } = globalCoverage[metric];
+    return `${metric} ${formatPercentageLabel(percentage)}${change ? ` (${change})` : ''}`;
+  });
+  return `**Global:** ${globalCells.join(' · ')}`;
+}
+
+function formatRatchetLine(ratchet) {
+  return ratchet.delta === null
+    ? '**Ratchet:** ⚠️ No base coverage to compare against'
+    : `**Ratchet:** ${ratchet.passed ? '✅' : '❌'} Global statement coverage changed by ${formatDelta(ratchet.delta)} (allowed drop: ${ratchet.tolerance}%)`;
+}
+
+function generateMarkdownReport(globalCoverage, changedFilesCoverage, thresholds = DEFAULT_THRESHOLDS) {
+  const heading = changedFilesCoverage.mode === 'diff' ? 'Changed Lines Coverage' : 'Changed Files Coverage';
+
+  return `## 📊 Coverage Report
+
+${renderCoverageSection(globalCoverage, changedFilesCoverage, thresholds, `${heading}: ${formatPercentageLabel(changedFilesCoverage.percentage)}`)}${changedFilesCoverage.trend ? formatTrendSection(changedFilesCoverage.trend) : ''}`;
+}
+
+// Everything below the report title for one set of changed files: threshold
+// table, global line, ratchet result and per-file details
+function renderCoverageSection(globalCoverage, changedFilesCoverage, thresholds, title) {
+  thresholds = mergeThresholds(DEFAULT_THRESHOLDS, thresholds);
+
+  const files = changedFilesCoverage.files;
+  const excludedFiles = changedFilesCoverage.excludedFiles || [];
+  const hasRules = files.some(file => file.rule && file.rule !== 'default');
+  const metrics = changedFilesCoverage.defaultMetrics || changedFilesCoverage.metrics || withPercentages(emptyMetrics());
+  const evaluation = evaluateThresholds(metrics, thresholds);
+  const thresholdMet = changedFilesCoverage.passed !== undefined
+    ? changedFilesCoverage.passed
+    : changedFilesCoverage.totalLines > 0 && evaluation.passed;
+  const status = thresholdMet ? '✅ Passed' : '❌ Failed';
+  
+  let report = `### ${title}
+**Status:** ${status}
+
+`;
+
+  if (hasRules) {
+    report += `Files without a matching rule are judged together against the default thresholds:
+
+`;
+  }
+
+  report += `| Metric | Required | Actual | Status |
+|--------|----------|--------|--------|
+`;
+
+  METRICS.forEach(metric => {
+    const label = metric.charAt(0).toUpperCase() + metric.slice(1);
+    report += `| ${label} | ${thresholds[metric]}% | ${formatMetricCell(metrics[metric])} | ${evaluation.metrics[metric] ? '✅' : '❌'} |
+`;
+  });
+
+  const delta = changedFilesCoverage.delta;
+
+  if (globalCoverage) {
+    report += `
+${formatGlobalLine(globalCoverage, delta)}
+`;
+  }
+
+  if (changedFilesCoverage.ratchet) {
+    report += `
+${formatRatchetLine(changedFilesCoverage.ratchet)}
+`;
+  }
+
+  report += `
+`;
+
+  if (files.length > 0) {
+    report += `#### Details by file:
+
+| File | Statements | Branches | Functions | Lines | Uncovered lines | Rule |${delta ? ' Δ |' : ''}
+|------|------------|----------|-----------|-------|-----------------|------|${delta ? '---|' : ''}
+`;
+    files.forEach(file => {
+      const fileMetrics = file.metrics || {
+        statements: { covered: file.covered, total: file.total, percentage: file.percentage }
+      };
+      const cells = METRICS.map(metric => (fileMetrics[metric] ? formatMetricCell(fileMetrics[metric]) : 'N/A'));
+      const uncovered = file.uncoveredLines && file.uncoveredLines.length > 0
+        ? formatLineRanges(file.uncoveredLines)
+        : '-';
+      const rule = !file.rule || file.rule === 'default'
+        ? 'default'
+        : `\`${file.rule}\` ${file.passed ? '✅' : '❌'}`;
+      let change = '';
+      if (delta) {
+        const fileDelta = delta.files[file.file];
+        change = fileDelta && fileDelta.isNew ? ' new |' : ` ${formatDelta(fileDelta && fileDelta.delta) || '-'} |`;
+      }
+      report += `| \`${file.file}\` | ${cells.join(' | ')} | ${uncovered} | ${rule} |${change}
+`;
+    });
+  } else {
+    report += `#### ${changedFilesCoverage.message}
+`;
+  }
+
+  const untestedFiles = changedFilesCoverage.untestedFiles || [];
+  if (untestedFiles.length > 0) {
+    report += `
+#### ⚠️ Changed files without coverage data:
+`;
+    untestedFiles.forEach(({ file, counted, statements }) => {
+      report += counted
+        ? `- \`${file}\`: counted as 0% (${statements} estimated statements)
+`
+        : `- \`${file}\`: not counted (enable include-untested to count it as 0%)
+`;
+    });
+  }
+
+  if (excludedFiles.length > 0) {
+    report += `
+#### Excluded from coverage:
+`;
+    excludedFiles.forEach(({ file, rule }) => {
+      report += `- \`${file}\` (${rule})
+`;
+    });
+  }
+
+  return report;
+}
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Workspace globs from package.json (npm, yarn) and pnpm-workspace.yaml
+function readWorkspacePatterns(root = '.') {
+  const patterns = [];
+  const packageJson = readJsonFile(path.join(root, 'package.json'));
+  if (packageJson && packageJson.workspaces) {
+    const workspaces = Array.isArray(packageJson.workspaces)
+      ? packageJson.workspaces
+      : packageJson.workspaces.packages || [];
+    patterns.push(...workspaces);
+  }
+
+  const pnpmWorkspaceFile = path.join(root, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmWorkspaceFile)) {
+    let inPackages = false;
+    fs.readFileSync(pnpmWorkspaceFile, 'utf8').split(/\r?\n/).forEach(line => {
+      if (/^\S/.test(line)) {
+        inPackages = /^packages\s*:/.test(line);
+        return;
+      }
+      const entry = line.match(/^\s*-\s*['"]?([^'"#]+?)['"]?\s*(?:#.*)?$/);
+      if (inPackages && entry) {
+        patterns.push(entry[1]);
+      }
+    });
+  }
+
+  return patterns;
+}
+
+function discoverWorkspacePackages(root = '.') {
+  const patterns = readWorkspacePatterns(root);
+  const includes = patterns.filter(pattern => !pattern.startsWith('!')).map(pattern => globToRegExp(pattern.replace(/^\.\/|\/$/g, '')));
+  const excludes = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => globToRegExp(pattern.slice(1).replace(/^\.\/|\/$/g, '')));
+
+  return walkFiles(root)
+    .filter(file => path.basename(file) === 'package.json')
+    .map(file => path.relative(root, path.dirname(file)).split(path.sep).join('/'))
+    .filter(dir => dir && includes.some(regex => regex.test(dir)) && !excludes.some(regex => regex.test(dir)))
+    .sort()
+    .map(dir => {
+      const packageJson = readJsonFile(path.join(root, dir, 'package.json')) || {};
+      return { name: packageJson.name || dir, dir };
+    });
+}
+
+function findPackageCoverageFiles(pkg) {
+  const explicit = getArgValues('--coverage-file');
+  const candidates = explicit.length > 0 ? explicit : DEFAULT_COVERAGE_FILES;
+  const files = expandCoverageFiles(candidates.map(file => `${pkg.dir}/${file}`))
+    .filter(file => fs.existsSync(file));
+
+  // Without an explicit list, only the first default report that exists is used
+  return explicit.length > 0 ? files : files.slice(0, 1);
+}
+
+function findOwningPackage(file, packages) {
+  return packages
+    .filter(pkg => file.startsWith(`${pkg.dir}/`))
+    .sort((a, b) => b.dir.length - a.dir.length)[0] || null;
+}
+
+// Read every package's coverage; the merged map backs global coverage
+function readWorkspaceCoverage(packages) {
+  packages.forEach(pkg => {
+    pkg.coverageFiles = findPackageCoverageFiles(pkg);
+    pkg.coverage = pkg.coverageFiles.length > 0
+      ? mergeCoverage(pkg.coverageFiles.map(file => readCoverageFile(file)))
+      : {};
+  });
+
+  return mergeCoverage(packages.map(pkg => pkg.coverage));
+}
+
+function calculateWorkspaceCoverage(packages, changedFiles, changedLines = null, rootConfig = loadConfig()) {
+  const totals = emptyMetrics();
+  const packageResults = [];
+  const unowned = [];
+
+  packages.forEach(pkg => {
+    const sourcePrefix = `${pkg.dir}/${options.sourceDir}`;
+    const packageFiles = changedFiles.filter(file =>
+      findOwningPackage(file, packages) === pkg && file.startsWith(sourcePrefix)
+    );
+    if (packageFiles.length === 0) {
+      return;
+    }
+
+    logProgress(`📦 ${pkg.name} (${pkg.dir})`);
+    if (pkg.coverageFiles.length === 0) {
+      logProgress(`    No coverage report found in ${pkg.dir}`);
+    }
+
+    // A package's own config file takes precedence over the root one
+    const packageConfigFile = path.join(pkg.dir, DEFAULT_CONFIG_FILE);
+    const config = fs.existsSync(packageConfigFile) ? loadConfig(packageConfigFile) : rootConfig;
+    const policy = buildCoveragePolicy(config, pkg.dir);
+    const result = calculateChangedFilesCoverage(pkg.coverage, packageFiles, changedLines, policy);
+
+    addMetrics(totals, result.metrics);
+    packageResults.push({
+      name: pkg.name,
+      dir: pkg.dir,
+      coverageFiles: pkg.coverageFiles,
+      global: calculateGlobalMetrics(pkg.coverage),
+      thresholds: policy.thresholds,
+      result
+    });
+  });
+
+  changedFiles.forEach(file => {
+    if (!findOwningPackage(file, packages)) {
+      unowned.push(file);
+    }
+  });
+  if (unowned.length > 0) {
+    logProgress('📋 Changed files outside every workspace package (not counted):');
+    unowned.forEach(file => logProgress(`  - ${file}`));
+  }
+
+  const totalLines = totals.statements.total;
+  const coveredLines = totals.statements.covered;
+  const overallPercentage = packageResults.length > 0
+    ? formatPercentage(coveredLines, totalLines, packageResults.every(pkg => pkg.result.percentage === 'N/A') ? 'N/A' : '0.00')
+    : 'N/A';
+
+  return {
+    percentage: overallPercentage,
+    totalLines,
+    coveredLines,
+    metrics: withPercentages(totals),
+    passed: packageResults.length > 0 && packageResults.every(pkg => pkg.result.passed),
+    packages: packageResults,
+    unownedFiles: unowned,
+    files: [].concat(...packageResults.map(pkg => pkg.result.files)),
+    mode: changedLines ? 'diff' : 'file',
+    message: packageResults.length > 0
+      ? `Overall coverage across ${packageResults.length} package(s): ${coveredLines}/${totalLines} (${formatPercentageLabel(overallPercentage)})`
+      : `No ${options.filePatterns} files changed in any workspace package's ${options.sourceDir}`
+  };
 }
 
-function readCoverageFile() {
-  if (!fs.existsSync(options.coverageFile)) {
-    console.error(`❌ Coverage file not found: ${options.coverageFile}`);
-    process.exit(1);
+// Changed files that no workspace package owns have no coverage report to
+// be measured against, so they are listed instead of counted
+function formatUnownedFiles(files = []) {
+  if (files.length === 0) {
+    return '';
   }
+  return `
+#### ⚠️ Changed files outside every workspace package (not counted):
+${files.map(file => `- \`${file}\``).join('\n')}
+`;
+}
 
-  try {
-    return JSON.parse(fs.readFileSync(options.coverageFile, 'utf8'));
-  } catch (error) {
-    console.error(`❌ Failed to parse coverage file: ${error.message}`);
-    process.exit(1);
+function generateWorkspaceReport(globalCoverage, workspaceCoverage) {
+  const status = workspaceCoverage.passed ? '✅ Passed' : '❌ Failed';
+  const heading = workspaceCoverage.mode === 'diff' ? 'Changed Lines Coverage' : 'Changed Files Coverage';
+
+  let report = `## 📊 Coverage Report
+
+### ${heading} (all packages): ${formatPercentageLabel(workspaceCoverage.percentage)}
+**Status:** ${status}
+
+`;
+
+  if (workspaceCoverage.packages.length === 0) {
+    return `${report}#### ${workspaceCoverage.message}
+${formatUnownedFiles(workspaceCoverage.unownedFiles)}`;
+  }
+
+  report += `| Package | Statements | Branches | Functions | Lines | Status |
+|---------|------------|----------|-----------|-------|--------|
+`;
+  workspaceCoverage.packages.forEach(pkg => {
+    const cells = METRICS.map(metric => formatMetricCell(pkg.result.metrics[metric]));
+    report += `| \`${pkg.name}\` | ${cells.join(' | ')} | ${pkg.result.passed ? '✅' : '❌'} |
+`;
+  });
+  report += `| **Rollup** | ${METRICS.map(metric => formatMetricCell(workspaceCoverage.metrics[metric])).join(' | ')} | ${workspaceCoverage.passed ? '✅' : '❌'} |
+`;
+
+  if (globalCoverage) {
+    report += `
+${formatGlobalLine(globalCoverage, workspaceCoverage.delta)}
+`;
+  }
+
+  if (workspaceCoverage.ratchet) {
+    report += `
+${formatRatchetLine(workspaceCoverage.ratchet)}
+`;
+  }
+
+  if (workspaceCoverage.trend) {
+    report += formatTrendSection(workspaceCoverage.trend);
+  }
+
+  workspaceCoverage.packages.forEach(pkg => {
+    if (workspaceCoverage.delta) {
+      pkg.result.delta = workspaceCoverage.delta;
+    }
+    report += `
+${renderCoverageSection(pkg.global, pkg.result, pkg.thresholds, `📦 ${pkg.name}: ${formatPercentageLabel(pkg.result.percentage)}`)}`;
+    if (pkg.coverageFiles.length === 0) {
+      report += `
+> ⚠️ No coverage report found in \`${pkg.dir}\`
+`;
+    }
+  });
+
+  return report + formatUnownedFiles(workspaceCoverage.unownedFiles);
+}
+
+// Minimum percentage → color, checked from the highest band down
+function getBadgeBands() {
+  const { badge = {} } = loadConfig();
+  // Given bands replace the defaults rather than adding to them
+  let bands = { ...(badge.colors || DEFAULT_BADGE_COLORS) };
+  const bandArgs = getArgValues('--badge-colors');
+  if (bandArgs.length > 0) {
+    bands = {};
+    bandArgs.forEach(band => {
+      const separator = band.indexOf(':');
+      if (separator > 0) {
+        bands[band.slice(0, separator)] = band.slice(separator + 1);
+      }
+    });
   }
+
+  return Object.entries(bands)
+    .map(([min, color]) => ({ min: parseFloat(min), color: BADGE_COLOR_NAMES[color] || color }))
+    .filter(band => !isNaN(band.min))
+    .sort((a, b) => b.min - a.min);
 }
 
-function calculateGlobalCoverage(coverage) {
-  let totalStatements = 0;
-  let coveredStatements = 0;
+function getBadgeColor(percentage, bands = getBadgeBands()) {
+  if (percentage === null || isNaN(percentage)) {
+    return BADGE_COLOR_NAMES.lightgrey;
+  }
+  const band = bands.find(({ min }) => percentage >= min);
+  return band ? band.color : BADGE_COLOR_NAMES.lightgrey;
+}
 
-  Object.values(coverage).forEach(fileData => {
-    if (fileData.s) {
-      const statements = Object.values(fileData.s);
-      totalStatements += statements.length;
-      coveredStatements += statements.filter(count => count > 0).length;
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Flat shields.io-style badge; text widths are estimated since no font
+// metrics are available
+function generateBadge(percentage, label = 'coverage', bands = getBadgeBands()) {
+  const value = percentage === null ? 'unknown' : `${percentage.toFixed(1)}%`;
+  const color = getBadgeColor(percentage, bands);
+  const labelWidth = Math.round(label.length * 6.5) + 10;
+  const valueWidth = Math.round(value.length * 6.5) + 10;
+  const width = labelWidth + valueWidth;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${escapeHtml(label)}: ${value}">
+  <title>${escapeHtml(label)}: ${value}</title>
+  <linearGradient id="s" x2="0" y2="100%">
+    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>
+    <stop offset="1" stop-opacity=".1"/>
+  </linearGradient>
+  <clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="20" fill="#555"/>
+    <rect x="${labelWidth}" width="${valueWidth}" height="20" fill="${escapeHtml(color)}"/>
+    <rect width="${width}" height="20" fill="url(#s)"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+    <text x="${labelWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${escapeHtml(label)}</text>
+    <text x="${labelWidth / 2}" y="14">${escapeHtml(label)}</text>
+    <text x="${labelWidth + valueWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${value}</text>
+    <text x="${labelWidth + valueWidth / 2}" y="14">${value}</text>
+  </g>
+</svg>
+`;
+}
+
+// Per-line status for the HTML source view: covered, uncovered, or partial
+// when the line ran but one of its branches never did
+function getLineStatuses(fileData) {
+  const statuses = new Map();
+  const lineHits = {};
+
+  Object.keys(fileData.s || {}).forEach(id => {
+    const location = fileData.statementMap && fileData.statementMap[id];
+    if (location && location.start) {
+      const line = location.start.line;
+      lineHits[line] = Math.max(lineHits[line] || 0, fileData.s[id]);
     }
   });
+  Object.entries(lineHits).forEach(([line, hits]) => {
+    statuses.set(Number(line), hits > 0 ? 'covered' : 'uncovered');
+  });
 
-  return totalStatements > 0 
-    ? ((coveredStatements / totalStatements) * 100).toFixed(2)
-    : '0.00';
+  calculateFileMetrics(fileData).uncoveredBranchLines.forEach(line => {
+    if (statuses.get(line) !== 'uncovered') {
+      statuses.set(line, 'partial');
+    }
+  });
+  return statuses;
 }
 
-function getChangedFiles() {
-  try {
-    // Ensure we have the base branch
-    execSync(`git fetch origin ${options.baseBranch}:${options.baseBranch}`, { stdio: 'pipe' });
-    
-    // Get changed files
-    const patterns = options.filePatterns.split(',').map(p => p.trim()).join('|');
-    const regex = `\\.(${patterns.replace(/\./g, '')})$`;
-    
-    const changedFiles = execSync(
-      `git diff --name-only origin/${options.baseBranch}...HEAD | grep -E '${regex}' | grep '^${options.sourceDir}' || true`,
-      { encoding: 'utf8', stdio: 'pipe' }
-    ).trim();
+function formatHtmlMetric({ covered, total, percentage }, bands) {
+  if (total === 0) {
+    return '<td class="metric empty">N/A</td>';
+  }
+  return `<td class="metric" style="border-left-color: ${escapeHtml(getBadgeColor(parseFloat(percentage), bands))}">${percentage}% <small>(${covered}/${total})</small></td>`;
+}
 
-    return changedFiles ? changedFiles.split('\n').filter(Boolean) : [];
+// Self-contained report (inline CSS, no scripts) from the same global
+// metrics and changed-files result used for the markdown report
+function generateHtmlReport(coverage, globalCoverage, changedFilesCoverage = null, changedLines = null) {
+  const bands = getBadgeBands();
+  const changed = new Map((changedFilesCoverage ? changedFilesCoverage.files : []).map(detail => [detail.file, detail]));
+
+  const files = Object.values(coverage)
+    .filter(fileData => fileData && fileData.path)
+    .map(fileData => {
+      const sourcePath = normalizeSourcePath(fileData.path);
+      const file = path.relative(process.cwd(), sourcePath).split(path.sep).join('/');
+      return { file, sourcePath, fileData, metrics: withPercentages(calculateFileMetrics(fileData)) };
+    })
+    .sort((a, b) => (changed.has(b.file) - changed.has(a.file)) || a.file.localeCompare(b.file));
+
+  const globalRows = METRICS.map(metric => {
+    const label = metric.charAt(0).toUpperCase() + metric.slice(1);
+    return `<tr><th>${label}</th>${formatHtmlMetric(globalCoverage[metric], bands)}</tr>`;
+  }).join('\n');
+
+  let changedSummary = '';
+  if (changedFilesCoverage) {
+    const heading = changedFilesCoverage.mode === 'diff' ? 'Changed lines' : 'Changed files';
+    changedSummary = `<p class="status ${changedFilesCoverage.passed ? 'passed' : 'failed'}">${heading}: ${escapeHtml(formatPercentageLabel(changedFilesCoverage.percentage))} statements — ${changedFilesCoverage.passed ? 'passed' : 'failed'}</p>`;
+  }
+
+  const fileRows = files.map(({ file, metrics }, index) => `<tr${changed.has(file) ? ' class="changed"' : ''}>
+<td><a href="#file-${index}">${escapeHtml(file)}</a>${changed.has(file) ? ' <span class="tag">changed</span>' : ''}</td>
+${METRICS.map(metric => formatHtmlMetric(metrics[metric], bands)).join('\n')}
+</tr>`).join('\n');
+
+  const sources = files.map(({ file, sourcePath, fileData, metrics }, index) => {
+    if (!fs.existsSync(sourcePath)) {
+      return `<details id="file-${index}"><summary>${escapeHtml(file)}</summary><p class="missing">Source not available in this checkout</p></details>`;
+    }
+
+    const statuses = getLineStatuses(fileData);
+    const lineSet = changedLines && changedLines[file];
+    const lines = fs.readFileSync(sourcePath, 'utf8').split(/\r?\n/).map((text, lineIndex) => {
+      const lineNumber = lineIndex + 1;
+      const classes = ['line', statuses.get(lineNumber), lineSet && lineSet.has(lineNumber) ? 'diff' : null].filter(Boolean);
+      return `<span class="${classes.join(' ')}"><span class="number">${lineNumber}</span>${escapeHtml(text) || ' '}</span>`;
+    });
+
+    return `<details id="file-${index}"${changed.has(file) ? ' open' : ''}>
+<summary>${escapeHtml(file)} — ${metrics.statements.percentage === 'N/A' ? 'N/A' : `${metrics.statements.percentage}%`} statements</summary>
+<pre>${lines.join('\n')}</pre>
+</details>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Coverage Report</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #24292f; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; }
+th, td { padding: 0.3rem 0.8rem; border-bottom: 1px solid #d0d7de; text-align: left; }
+td.metric { border-left: 6px solid transparent; white-space: nowrap; }
+td.empty { color: #8c959f; }
+tr.changed td:first-child { font-weight: 600; }
+.tag { font-size: 0.75rem; background: #ddf4ff; border-radius: 4px; padding: 0 0.3rem; }
+.status.passed { color: #1a7f37; }
+.status.failed { color: #cf222e; }
+details { margin-bottom: 0.5rem; }
+summary { cursor: pointer; font-family: monospace; }
+pre { font-size: 12px; line-height: 1.4; overflow-x: auto; }
+.line { display: block; }
+.line.covered { background: #e6ffec; }
+.line.uncovered { background: #ffebe9; }
+.line.partial { background: #fff8c5; }
+.line.diff { box-shadow: inset 3px 0 #0969da; }
+.number { display: inline-block; width: 4em; padding-right: 1em; text-align: right; color: #8c959f; user-select: none; }
+.missing { color: #8c959f; }
+</style>
+</head>
+<body>
+<h1>📊 Coverage Report</h1>
+<p>Generated ${escapeHtml(new Date().toISOString())}</p>
+${changedSummary}
+<h2>Global</h2>
+<table>
+${globalRows}
+</table>
+<h2>Files</h2>
+<table>
+<tr><th>File</th><th>Statements</th><th>Branches</th><th>Functions</th><th>Lines</th></tr>
+${fileRows}
+</table>
+<h2>Source</h2>
+<p><span class="line covered">Covered</span><span class="line uncovered">Not covered</span><span class="line partial">Branch not taken</span></p>
+${sources}
+</body>
+</html>
+`;
+}
+
+function gitValue(command) {
+  try {
+    return execSync(command, { encoding: 'utf8', stdio: 'pipe' }).trim();
   } catch (error) {
-    console.error(`❌ Failed to get changed files: ${error.message}`);
+    return null;
+  }
+}
+
+function parseMetricPercentage(percentage) {
+  return percentage === 'N/A' ? null : parseFloat(percentage);
+}
+
+function createHistoryEntry(coverage) {
+  const globalMetrics = calculateGlobalMetrics(coverage);
+  const entry = {
+    timestamp: new Date().toISOString(),
+    sha: process.env.GITHUB_SHA || gitValue('git rev-parse HEAD'),
+    ref: process.env.GITHUB_REF_NAME || gitValue('git rev-parse --abbrev-ref HEAD')
+  };
+  METRICS.forEach(metric => {
+    entry[metric] = parseMetricPercentage(globalMetrics[metric].percentage);
+  });
+  return entry;
+}
+
+// One JSON entry per line, oldest first. Unreadable lines are skipped so a
+// truncated append never breaks later runs.
+function readHistory(historyFile = options.historyFile) {
+  if (!historyFile || !fs.existsSync(historyFile)) {
     return [];
   }
+
+  const entries = [];
+  fs.readFileSync(historyFile, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      console.error(`⚠️ Skipping malformed history entry on line ${index + 1} of ${historyFile}`);
+    }
+  });
+  return entries;
 }
 
-function calculateChangedFilesCoverage(coverage, changedFiles) {
-  if (changedFiles.length === 0) {
-    return {
-      percentage: 'N/A',
-      totalLines: 0,
-      coveredLines: 0,
-      files: [],
-      message: `No ${options.filePatterns} files changed in ${options.sourceDir}`
-    };
+function appendHistory(entry, historyFile = options.historyFile) {
+  const directory = path.dirname(historyFile);
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
   }
+  fs.appendFileSync(historyFile, `${JSON.stringify(entry)}\n`);
+}
 
-  console.log('📋 Checking coverage for changed files:');
-  changedFiles.forEach(file => console.log(`  - ${file}`));
+function writeHistory(entries, historyFile = options.historyFile) {
+  fs.writeFileSync(historyFile, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+}
 
-  let totalLines = 0;
-  let coveredLines = 0;
-  const fileDetails = [];
+function pruneHistory(entries, { keep = null, before = null } = {}) {
+  let kept = entries;
+  if (before) {
+    const cutoff = new Date(before).getTime();
+    kept = kept.filter(entry => new Date(entry.timestamp).getTime() >= cutoff);
+  }
+  if (keep !== null) {
+    kept = kept.slice(Math.max(kept.length - keep, 0));
+  }
+  return kept;
+}
 
-  changedFiles.forEach(file => {
-    if (fs.existsSync(file)) {
-      const absolutePath = path.resolve(file);
-      
-      // Find coverage data for this file
-      const fileData = Object.values(coverage).find(data =>
-        data.path === absolutePath || data.path.endsWith(file)
-      );
+// Last runs' global statement coverage plus where this PR would land
+function buildTrend(entries, projected = null, length = options.trendLength) {
+  return {
+    points: entries
+      .filter(entry => typeof entry.statements === 'number')
+      .slice(-length)
+      .map(({ timestamp, sha, statements }) => ({ timestamp, sha, statements })),
+    projected
+  };
+}
 
-      if (fileData && fileData.s) {
-        const statements = Object.values(fileData.s);
-        const fileCovered = statements.filter(count => count > 0).length;
-        const fileTotal = statements.length;
+// A non-negative integer option, or null when not given. Bad values exit
+// before the history file is read or rewritten: a typo in --keep would
+// otherwise prune every entry.
+function getCountArg(argName) {
+  const value = getArgValue(argName);
+  if (value !== null && !/^\d+$/.test(value)) {
+    console.error(`❌ Invalid ${argName} "${value}", expected a non-negative integer`);
+    process.exit(1);
+  }
+  return value === null ? null : parseInt(value, 10);
+}
 
-        totalLines += fileTotal;
-        coveredLines += fileCovered;
+// A date option, or null when not given
+function getDateArg(argName) {
+  const value = getArgValue(argName);
+  if (value !== null && Number.isNaN(new Date(value).getTime())) {
+    console.error(`❌ Invalid ${argName} "${value}", expected a date such as 2024-01-31`);
+    process.exit(1);
+  }
+  return value;
+}
 
-        if (fileTotal > 0) {
-          const filePercentage = ((fileCovered / fileTotal) * 100).toFixed(2);
-          fileDetails.push({
-            file,
-            covered: fileCovered,
-            total: fileTotal,
-            percentage: filePercentage
-          });
-          console.log(`    ${file}: ${fileCovered}/${fileTotal} (${filePercentage}%)`);
-        }
-      } else {
-        console.log(`    ${file}: No coverage data found`);
-      }
+function runHistoryCommand() {
+  if (!options.historyFile) {
+    console.error('❌ --history-file is required for the history subcommand');
+    process.exit(1);
+  }
+
+  if (options.historyCommand === 'query') {
+    const since = getDateArg('--since');
+    const limit = getCountArg('--limit');
+    const matching = readHistory()
+      .filter(entry => !since || new Date(entry.timestamp).getTime() >= new Date(since).getTime());
+    const selected = limit === null ? matching : matching.slice(Math.max(matching.length - limit, 0));
+
+    if (options.output === 'json') {
+      console.log(JSON.stringify(selected, null, 2));
+      return;
     }
-  });
+    selected.forEach(entry => {
+      const cells = METRICS.map(metric => `${metric} ${entry[metric] === null ? 'N/A' : `${entry[metric].toFixed(2)}%`}`);
+      console.log(`${entry.timestamp}  ${(entry.sha || '').slice(0, 7)}  ${cells.join('  ')}`);
+    });
+    if (selected.length > 0) {
+      console.log(`statements ${formatSparkline(selected.filter(entry => entry.statements !== null).map(entry => entry.statements))}`);
+    }
+    return;
+  }
+
+  if (options.historyCommand === 'prune') {
+    const keep = getCountArg('--keep');
+    const before = getDateArg('--before');
+    if (keep === null && before === null) {
+      console.error('❌ history prune needs --keep N and/or --before DATE');
+      process.exit(1);
+    }
+    const entries = readHistory();
+    const kept = pruneHistory(entries, { keep, before });
+    writeHistory(kept);
+    console.log(`✅ Pruned ${entries.length - kept.length} of ${entries.length} history entries from ${options.historyFile}`);
+    return;
+  }
+
+  console.error(`❌ Unknown history command "${options.historyCommand}" (expected query or prune)`);
+  process.exit(1);
+}
+
+// Attach base-branch deltas and, in ratchet mode, the drop check to a
+// changed-files result
+function compareWithBase(result, coverage, baseSummary) {
+  if (baseSummary) {
+    result.delta = calculateCoverageDelta(
+      summarizeCoverage(coverage),
+      baseSummary,
+      result.files.map(file => file.file)
+    );
+  }
+
+  if (options.ratchet) {
+    if (!result.delta) {
+      logProgress('⚠️ Ratchet mode enabled but no base coverage provided, skipping');
+      result.ratchet = { tolerance: options.ratchetTolerance, delta: null, passed: true };
+    } else {
+      result.ratchet = evaluateRatchet(result.delta);
+      result.passed = result.passed && result.ratchet.passed;
+    }
+  }
+
+  return result;
+}
 
-  const overallPercentage = totalLines > 0 
-    ? ((coveredLines / totalLines) * 100).toFixed(2)
-    : '0.00';
+// Uncovered statement and branch ranges on changed lines, in file order.
+// Only files that were evaluated (not excluded, with coverage data) are
+// annotated; everything past maxAnnotations is counted but not returned.
+function buildAnnotations(coverage, files, changedLines, maxAnnotations = options.maxAnnotations) {
+  const coverageIndex = indexCoverageByPath(coverage);
+  const annotations = [];
+
+  files.filter(detail => !detail.untested).forEach(({ file }) => {
+    const lineSet = changedLines[file];
+    const fileData = coverageIndex.get(sourcePathKey(file));
+    if (!lineSet || lineSet.size === 0 || !fileData) {
+      return;
+    }
+
+    const { uncoveredLines, uncoveredBranchLines } = calculateFileMetrics(fileData, lineSet);
+    const statementLines = new Set(uncoveredLines);
+
+    groupLineRanges(uncoveredLines).forEach(([startLine, endLine]) => {
+      annotations.push({
+        file,
+        startLine,
+        endLine,
+        title: 'Uncovered code',
+        message: startLine === endLine
+          ? `Line ${startLine} is not covered by tests`
+          : `Lines ${startLine}-${endLine} are not covered by tests`
+      });
+    });
+
+    // Branches on lines already reported as uncovered statements add nothing
+    const branchLines = uncoveredBranchLines.filter(line => lineSet.has(line) && !statementLines.has(line));
+    groupLineRanges(branchLines).forEach(([startLine, endLine]) => {
+      annotations.push({
+        file,
+        startLine,
+        endLine,
+        title: 'Uncovered branch',
+        message: startLine === endLine
+          ? `A branch on line ${startLine} is never taken by tests`
+          : `Branches on lines ${startLine}-${endLine} are never taken by tests`
+      });
+    });
+  });
 
   return {
-    percentage: overallPercentage,
-    totalLines,
-    coveredLines,
-    files: fileDetails,
-    message: `Overall coverage for changed files: ${coveredLines}/${totalLines} (${overallPercentage}%)`
+    annotations: annotations.slice(0, Math.max(maxAnnotations, 0)),
+    total: annotations.length
   };
 }
 
-function generateMarkdownReport(globalCoverage, changedFilesCoverage, threshold = 20) {
-  const thresholdMet = parseFloat(changedFilesCoverage.percentage) >= threshold;
-  const status = thresholdMet ? '✅ Passed' : '❌ Failed';
-  
-  let report = `## 📊 Coverage Report
+function escapeWorkflowCommand(value, isProperty = false) {
+  let escaped = String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+  if (isProperty) {
+    escaped = escaped.replace(/:/g, '%3A').replace(/,/g, '%2C');
+  }
+  return escaped;
+}
 
-### Changed Files Coverage: ${changedFilesCoverage.percentage}%
-- **Required:** ${threshold}%
-- **Actual:** ${changedFilesCoverage.percentage}%
-- **Status:** ${status}
+// Annotation paths must be relative to the repository root, while changed
+// files are relative to the working directory
+function getRepositoryPrefix() {
+  try {
+    return execSync('git rev-parse --show-prefix', { encoding: 'utf8', stdio: 'pipe' }).trim();
+  } catch (error) {
+    return '';
+  }
+}
 
-`;
+function formatAnnotationCommands({ annotations, total }, prefix = getRepositoryPrefix()) {
+  const commands = annotations.map(({ file, startLine, endLine, title, message }) => {
+    const properties = [
+      `file=${escapeWorkflowCommand(`${prefix}${file}`, true)}`,
+      `line=${startLine}`,
+      `endLine=${endLine}`,
+      `title=${escapeWorkflowCommand(title, true)}`
+    ].join(',');
+    return `::warning ${properties}::${escapeWorkflowCommand(message)}`;
+  });
 
-  if (changedFilesCoverage.files.length > 0) {
-    report += `#### Details by file:
-`;
-    changedFilesCoverage.files.forEach(file => {
-      report += `- \`${file.file}\`: ${file.covered}/${file.total} (${file.percentage}%)
-`;
-    });
-  } else {
-    report += `#### ${changedFilesCoverage.message}
-`;
+  if (total > annotations.length) {
+    commands.push(`::notice::${total - annotations.length} more uncovered ranges were not annotated (limit ${annotations.length})`);
   }
+  return commands;
+}
 
-  return report;
+function writeReportFile(file, content, description) {
+  const directory = path.dirname(file);
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+  fs.writeFileSync(file, content);
+  console.error(`✅ ${description} written to ${file}`);
+}
+
+// Append outputs to $GITHUB_OUTPUT; multiline values use a random heredoc
+// delimiter so report content can never terminate them early
+function writeGitHubOutputs(outputs) {
+  const outputFile = process.env.GITHUB_OUTPUT;
+  if (!outputFile) {
+    return;
+  }
+
+  const content = Object.entries(outputs)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => {
+      const text = String(value);
+      if (!text.includes('\n')) {
+        return `${name}=${text}\n`;
+      }
+      const delimiter = `EOF_${crypto.randomBytes(8).toString('hex')}`;
+      return `${name}<<${delimiter}\n${text}\n${delimiter}\n`;
+    })
+    .join('');
+  fs.appendFileSync(outputFile, content);
+}
+
+function writeStepSummary(markdown) {
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, `${markdown}\n`);
+  }
+}
+
+function metricOutputs(globalMetrics) {
+  const outputs = {};
+  METRICS.forEach(metric => {
+    const { covered, total } = globalMetrics[metric];
+    outputs[`${metric}-pct`] = formatPercentage(covered, total, '0.00');
+  });
+  return outputs;
 }
 
 function main() {
-  const coverage = readCoverageFile();
+  if (!OUTPUT_FORMATS.includes(options.output)) {
+    console.error(`❌ Unknown output format "${options.output}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  if (options.historyCommand) {
+    runHistoryCommand();
+    return;
+  }
+
+  const packages = options.workspaces ? discoverWorkspacePackages() : null;
+  if (packages && packages.length === 0) {
+    console.error('❌ No workspace packages found (package.json workspaces or pnpm-workspace.yaml)');
+    process.exit(1);
+  }
+  const coverage = packages ? readWorkspaceCoverage(packages) : readCoverage();
+
+  if (options.writeMerged) {
+    fs.writeFileSync(options.writeMerged, JSON.stringify(coverage));
+    console.error(`✅ Merged coverage written to ${options.writeMerged}`);
+  }
+
+  if (options.writeSummary) {
+    fs.writeFileSync(options.writeSummary, JSON.stringify(summarizeCoverage(coverage), null, 2));
+    console.error(`✅ Coverage summary written to ${options.writeSummary}`);
+  }
+
+  if (options.appendHistory) {
+    if (!options.historyFile) {
+      console.error('❌ --append-history requires --history-file');
+      process.exit(1);
+    }
+    appendHistory(createHistoryEntry(coverage));
+    console.error(`✅ Coverage history appended to ${options.historyFile}`);
+  }
+
+  if (options.badge) {
+    const { statements } = calculateGlobalMetrics(coverage);
+    writeReportFile(options.badge, generateBadge(parseMetricPercentage(statements.percentage)), 'Coverage badge');
+  }
+
+  // With --changed-files the HTML report also marks the changed files, so
+  // it is written once their coverage is known
+  if (options.htmlReport && !options.changedFiles) {
+    writeReportFile(options.htmlReport, generateHtmlReport(coverage, calculateGlobalMetrics(coverage)), 'HTML coverage report');
+  }
+
+  const writesOnly = options.writeSummary || options.writeMerged || options.appendHistory || options.badge || options.htmlReport;
+  if (writesOnly && !options.global && !options.changedFiles) {
+    return;
+  }
 
   if (options.global) {
+    const globalMetrics = calculateGlobalMetrics(coverage);
     const globalCoverage = calculateGlobalCoverage(coverage);
+    const outputs = metricOutputs(globalMetrics);
+    writeGitHubOutputs({ 'global-coverage': globalCoverage, ...outputs });
+
+    if (options.output === 'json') {
+      console.log(JSON.stringify({ global: globalMetrics, percentage: globalCoverage }, null, 2));
+      return;
+    }
+
+    if (options.allMetrics) {
+      METRICS.forEach(metric => {
+        console.log(`${metric.toUpperCase()}_PCT=${outputs[`${metric}-pct`]}`);
+      });
+      return;
+    }
+
     console.log(globalCoverage);
     return;
   }
 
   if (options.changedFiles) {
     const changedFiles = getChangedFiles();
-    const result = calculateChangedFilesCoverage(coverage, changedFiles);
+    const changedLines = options.diffCoverage ? getChangedLines(changedFiles) : null;
+    const annotationLines = options.annotations ? changedLines || getChangedLines(changedFiles) : null;
+    const policy = buildCoveragePolicy();
+    const result = packages
+      ? calculateWorkspaceCoverage(packages, changedFiles, changedLines)
+      : calculateChangedFilesCoverage(coverage, changedFiles, changedLines, policy);
+    const globalMetrics = calculateGlobalMetrics(coverage);
+    const baseSummary = options.baseCoverage ? readCoverageSummary(options.baseCoverage) : null;
+    compareWithBase(result, coverage, baseSummary);
+    if (options.historyFile && !options.appendHistory) {
+      result.trend = buildTrend(readHistory(), parseMetricPercentage(calculateGlobalCoverage(coverage)));
+    }
+    const baseGlobalCoverage = result.delta ? result.delta.global.statements.base : null;
+    
+    // Generate detailed report
+    const markdownReport = packages
+      ? generateWorkspaceReport(globalMetrics, result)
+      : generateMarkdownReport(globalMetrics, result, policy.thresholds);
+
+    writeGitHubOutputs({
+      'global-coverage': calculateGlobalCoverage(coverage),
+      ...metricOutputs(globalMetrics),
+      'changed-files-coverage': result.percentage,
+      'base-global-coverage': baseGlobalCoverage,
+      'coverage-check-failed': !result.passed,
+      'coverage-report': markdownReport
+    });
+    writeStepSummary(markdownReport);
+
+    if (options.htmlReport) {
+      writeReportFile(
+        options.htmlReport,
+        generateHtmlReport(coverage, globalMetrics, result, changedLines || annotationLines),
+        'HTML coverage report'
+      );
+    }
+
+    const annotations = annotationLines ? buildAnnotations(coverage, result.files, annotationLines) : null;
+    if (annotations) {
+      formatAnnotationCommands(annotations).forEach(command => logProgress(command));
+    }
+
+    if (options.output === 'json') {
+      console.log(JSON.stringify({
+        global: globalMetrics,
+        changedFiles: result,
+        thresholds: result.thresholds,
+        passed: result.passed,
+        annotations: annotations ? annotations.annotations : [],
+        report: markdownReport
+      }, null, 2));
+      return;
+    }
     
     // Output for GitHub Actions environment variables
     console.log(`CHANGED_FILES_COVERAGE=${result.percentage}`);
-    
-    // Generate detailed report
-    const markdownReport = generateMarkdownReport(null, result);
+    if (baseGlobalCoverage !== null) {
+      console.log(`BASE_GLOBAL_COVERAGE=${baseGlobalCoverage}`);
+    }
     
     // Output multiline content for GitHub Actions
     console.log('CHANGED_FILES_DETAILS<<EOF');
@@ -207,8 +2409,7 @@ function main() {
     console.log('EOF');
     
     // Set coverage check status
-    const thresholdMet = result.percentage !== 'N/A' && parseFloat(result.percentage) >= 20;
-    console.log(`COVERAGE_CHECK_FAILED=${!thresholdMet}`);
+    console.log(`COVERAGE_CHECK_FAILED=${!result.passed}`);
     
     return;
   }
@@ -219,16 +2420,67 @@ Usage: node coverage-calculator.js [options]
 
 Options:
   --global              Calculate global coverage percentage
+  --all-metrics         With --global, print STATEMENTS_PCT=… style lines for every metric
   --changed-files       Calculate coverage for changed files only
-  --coverage-file       Path to coverage-final.json (default: coverage/coverage-final.json)
+  --diff-coverage       Only count statements on changed lines (with --changed-files)
+  --coverage-file       Path or glob of the coverage report; repeat or comma-separate to merge several
+                        (default: first of coverage/coverage-final.json, coverage/lcov.info,
+                        coverage/cobertura-coverage.xml that exists)
+  --write-merged        Write the merged coverage as coverage-final.json to this path
+  --format              Coverage report format: istanbul, lcov, cobertura or auto (default: auto)
   --base-branch         Base branch for comparison (default: main)
   --file-patterns       File patterns to include (default: .ts,.tsx,.js,.jsx)
-  --source-dir          Source directory pattern (default: src/)
+  --source-dir          Source directory pattern (default: src/, relative to each package with --workspaces)
+  --workspaces          Report changed-file coverage per workspace package
+  --path-map            Rewrite a coverage path prefix, e.g. /app=. (repeatable)
+  --ignore-case         Match coverage paths case-insensitively
+  --include-untested    Count changed files without coverage data as 0% instead of skipping them
+  --threshold           Required statement coverage for changed files (alias of --statements-threshold)
+  --config              Coverage config file (default: .buuk-coverage.json, ignored when missing)
+  --statements-threshold  Required statement coverage for changed files (default: 20)
+  --branches-threshold    Required branch coverage for changed files (default: 0)
+  --functions-threshold   Required function coverage for changed files (default: 0)
+  --lines-threshold       Required line coverage for changed files (default: 0)
+  --base-coverage       Base branch coverage-final.json or summary to compare against
+  --ratchet             Fail when global coverage drops compared to --base-coverage
+  --ratchet-tolerance   Allowed global coverage drop in percentage points (default: 0)
+  --write-summary       Write a coverage summary for later use as --base-coverage
+  --output              Output format: text or json (default: text)
+  --annotations         Annotate uncovered changed lines on the PR diff (with --changed-files)
+  --max-annotations     Maximum number of annotations to emit (default and GitHub limit: 10)
+  --history-file        NDJSON coverage history (trend in the PR report, history subcommand)
+  --append-history      Append this run's global metrics to --history-file
+  --trend-length        Number of history entries in the trend (default: 20)
+  --badge               Write an SVG coverage badge to this path
+  --badge-colors        Badge color bands as min:color pairs, e.g. 80:brightgreen,50:yellow,0:red
+  --html-report         Write a self-contained HTML coverage report to this path
+
+History subcommand:
+  history query         Print history entries (--limit N, --since DATE, --output json)
+  history prune         Drop old entries (--keep N and/or --before DATE)
 
 Examples:
   node coverage-calculator.js --global
+  node coverage-calculator.js --global --all-metrics
+  node coverage-calculator.js --global --coverage-file coverage/lcov.info --format lcov
   node coverage-calculator.js --changed-files --base-branch main
+  node coverage-calculator.js --changed-files --diff-coverage
+  node coverage-calculator.js --changed-files --branches-threshold 50 --functions-threshold 50
+  node coverage-calculator.js --changed-files --threshold 40 --config .buuk-coverage.json
   node coverage-calculator.js --changed-files --file-patterns .ts,.js --source-dir src/
+  node coverage-calculator.js --changed-files --workspaces
+  node coverage-calculator.js --changed-files --path-map /app=. --include-untested
+  node coverage-calculator.js --changed-files --base-coverage base-summary.json --ratchet --ratchet-tolerance 0.5
+  node coverage-calculator.js --write-summary coverage-summary.json
+  node coverage-calculator.js --changed-files --output json > coverage-result.json
+  node coverage-calculator.js --changed-files --annotations --max-annotations 5
+  node coverage-calculator.js --append-history --history-file coverage-history.ndjson
+  node coverage-calculator.js --changed-files --history-file coverage-history.ndjson --trend-length 30
+  node coverage-calculator.js history query --history-file coverage-history.ndjson --limit 10
+  node coverage-calculator.js history prune --history-file coverage-history.ndjson --keep 500
+  node coverage-calculator.js --global --coverage-file 'coverage/shard-*/coverage-final.json' --write-merged coverage/coverage-final.json
+  node coverage-calculator.js --badge coverage/badge.svg --badge-colors 80:brightgreen,50:yellow,0:red
+  node coverage-calculator.js --changed-files --html-report coverage/report.html
 `);
 }
 
@@ -239,8 +2491,40 @@ if (require.main === module) {
 
 module.exports = {
   calculateGlobalCoverage,
+  calculateGlobalMetrics,
+  calculateFileMetrics,
+  evaluateThresholds,
+  buildCoveragePolicy,
+  summarizeCoverage,
+  calculateCoverageDelta,
+  evaluateRatchet,
+  createHistoryEntry,
+  readHistory,
+  pruneHistory,
+  buildTrend,
+  formatSparkline,
+  globToRegExp,
   calculateChangedFilesCoverage,
   generateMarkdownReport,
+  generateBadge,
+  generateHtmlReport,
+  renderCoverageSection,
   getChangedFiles,
+  getChangedLines,
+  parseDiffHunks,
+  formatLineRanges,
+  buildAnnotations,
+  formatAnnotationCommands,
+  detectCoverageFormat,
+  parseLcovCoverage,
+  parseCoberturaCoverage,
+  mergeCoverage,
+  normalizeSourcePath,
+  estimateUntestedMetrics,
+  expandCoverageFiles,
+  readCoverage,
+  discoverWorkspacePackages,
+  calculateWorkspaceCoverage,
+  generateWorkspaceReport,
   readCoverageFile
 };
\ No newline at end of file
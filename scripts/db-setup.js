@@ -0,0 +1,721 @@
+#!/usr/bin/env node
+
+/**
+ * Database Setup Script
+ *
+ * Node.js port of postgres-setup.sh: waits for PostgreSQL, creates the
+ * database and the PostGIS extensions the Buuk applications need, and
+ * describes the result. Runs as a CLI in workflows and is required by the
+ * other scripts (integration-test-runner.js) for the same checks.
+ *
+ * It then applies the schema: a migration command (e.g. "npm run migrate"),
+ * then the .sql files of a migrations directory and of a seeds directory in
+ * name order. Applied files are recorded in a tracking table with their
+ * checksum, so a rerun only applies the new ones.
+ *
+ * Queries go through the project's pg module when it is installed and
+ * through psql otherwise, so the script has no dependencies of its own.
+ *
+ * Usage:
+ *   node db-setup.js [options]
+ *
+ * Options:
+ *   --host              PostgreSQL host (default: localhost)
+ *   --port              PostgreSQL port (default: 5432)
+ *   --user              PostgreSQL user (default: postgres)
+ *   --password          PostgreSQL password (default: postgres)
+ *   --database          Database name (default: buukdb)
+ *   --timeout           Connection timeout in seconds (default: 60)
+ *   --skip-extensions   Skip PostGIS extension creation
+ *   --migrate           Command that migrates the database, run with the DB_* and PG* variables
+ *   --migrations        Directory of .sql migration files
+ *   --seeds             Directory of .sql seed files, applied after the migrations
+ *   --migrations-table  Tracking table of applied files (default: buuk_setup_migrations)
+ *
+ * Environment Variables:
+ *   PGHOST, PGPORT, PGUSER, PGPASSWORD, PGDATABASE - used for options that are not given
+ */
+
+const { execFile, execFileSync, execSync } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const { promisify } = require("util");
+
+// Extensions required by the Buuk applications
+const REQUIRED_EXTENSIONS = [
+  "uuid-ossp",
+  "postgis",
+  "postgis_topology",
+  "pgcrypto",
+  "cube",
+  "earthdistance",
+  "unaccent",
+];
+
+const DEFAULTS = {
+  host: "localhost",
+  port: 5432,
+  user: "postgres",
+  password: "postgres",
+  database: "buukdb",
+};
+
+// Per-attempt timeout of a connection or readiness query, and the longest wait
+// between attempts
+const PROBE_TIMEOUT = 5000;
+const MAX_RETRY_DELAY = 15000;
+
+const MIGRATIONS_TABLE = "buuk_setup_migrations";
+
+// psql field separator that cannot appear in the values we read
+const FIELD_SEPARATOR = "\x1f";
+
+function getArgValue(argv, argName) {
+  const index = argv.indexOf(argName);
+  return index !== -1 && index + 1 < argv.length ? argv[index + 1] : null;
+}
+
+/**
+ * Connection settings from command line arguments, then PG* environment
+ * variables, then the defaults.
+ */
+function resolveConfig(argv = [], env = process.env) {
+  return {
+    host: getArgValue(argv, "--host") || env.PGHOST || DEFAULTS.host,
+    port: parseInt(getArgValue(argv, "--port") || env.PGPORT) || DEFAULTS.port,
+    user: getArgValue(argv, "--user") || env.PGUSER || DEFAULTS.user,
+    password: getArgValue(argv, "--password") || env.PGPASSWORD || DEFAULTS.password,
+    database: getArgValue(argv, "--database") || env.PGDATABASE || DEFAULTS.database,
+  };
+}
+
+function parseDatabaseUrl(databaseUrl) {
+  const { URL } = require("url");
+  const url = new URL(databaseUrl);
+  return {
+    host: url.hostname,
+    port: parseInt(url.port) || DEFAULTS.port,
+    user: decodeURIComponent(url.username),
+    password: decodeURIComponent(url.password),
+    database: decodeURIComponent(url.pathname.replace(/^\//, "")),
+  };
+}
+
+function connectionUrl(config, database = config.database) {
+  const encode = encodeURIComponent;
+  const credentials = config.password
+    ? `${encode(config.user)}:${encode(config.password)}`
+    : encode(config.user);
+  return `postgresql://${credentials}@${config.host}:${config.port}/${encode(database)}`;
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function sleep(milliseconds) {
+  return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+function probeTcp(host, port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    socket.setTimeout(PROBE_TIMEOUT);
+    socket.once("connect", () => {
+      socket.end();
+      resolve();
+    });
+    socket.once("timeout", () => {
+      socket.destroy();
+      reject(Object.assign(new Error(`connection timed out after ${PROBE_TIMEOUT}ms`), { code: "ETIMEDOUT" }));
+    });
+    socket.once("error", (error) => {
+      socket.destroy();
+      reject(error);
+    });
+  });
+}
+
+// The project's pg module (a dependency of the LoopBack connector), if any
+function loadPg() {
+  try {
+    return require(require.resolve("pg", { paths: [process.cwd()] }));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Run a statement and return its rows as arrays of strings (null for SQL
+ * NULL through pg; psql prints NULL as an empty string). Only readiness
+ * probes pass a `timeout` (ms); other statements, such as CREATE DATABASE or
+ * CREATE EXTENSION on a busy server, may take as long as they need.
+ */
+async function queryDatabase(config, sql, database = config.database, { timeout } = {}) {
+  const pg = loadPg();
+  if (pg) {
+    const client = new pg.Client({
+      connectionString: connectionUrl(config, database),
+      connectionTimeoutMillis: PROBE_TIMEOUT,
+      query_timeout: timeout,
+    });
+    try {
+      await client.connect();
+      const result = await client.query({ text: sql, rowMode: "array" });
+      return (result.rows || []).map((row) =>
+        row.map((value) => (value === null ? null : String(value))),
+      );
+    } finally {
+      await client.end().catch(() => {});
+    }
+  }
+
+  try {
+    // Asynchronous, so the integration runner's concurrent shards keep
+    // draining their test output while a database is copied
+    const { stdout } = await promisify(execFile)(
+      "psql",
+      [
+        connectionUrl(config, database),
+        "-v",
+        "ON_ERROR_STOP=1",
+        "-X",
+        "-q",
+        "-t",
+        "-A",
+        "-F",
+        FIELD_SEPARATOR,
+        "-c",
+        sql,
+      ],
+      { timeout },
+    );
+    return stdout
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => line.split(FIELD_SEPARATOR));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw Object.assign(new Error("neither the pg module nor psql is available"), { code: "ENOENT" });
+    }
+    const stderr = error.stderr ? error.stderr.toString().trim() : "";
+    throw new Error(stderr || error.message);
+  }
+}
+
+// First column of the first row, or null
+async function queryValue(config, sql, database = config.database, queryOptions) {
+  const [row] = await queryDatabase(config, sql, database, queryOptions);
+  return row ? row[0] : null;
+}
+
+/**
+ * A hint for a failed readiness check, by stage (tcp, query, postgis) and
+ * error.
+ */
+function describeFailure(stage, error, config) {
+  const message = error.message || "";
+
+  if (stage === "tcp") {
+    if (error.code === "ECONNREFUSED") {
+      return `Nothing is listening on ${config.host}:${config.port}. Is the PostgreSQL service or container running and its port mapped?`;
+    }
+    if (error.code === "ENOTFOUND" || error.code === "EAI_AGAIN") {
+      return `Host "${config.host}" cannot be resolved. Check the host in the database URL.`;
+    }
+    return `Could not open a TCP connection to ${config.host}:${config.port}. Check the host, port and any firewall in between.`;
+  }
+  if (error.code === "ENOENT") {
+    return "Install the PostgreSQL client (psql) or the pg npm package so the database can be queried.";
+  }
+  if (error.code === "28P01" || /password authentication failed/i.test(message)) {
+    return `User "${config.user}" was rejected. Check the credentials in the database URL.`;
+  }
+  if (error.code === "3D000" || /database .* does not exist/i.test(message)) {
+    return `Database "${config.database}" does not exist. Create it (node db-setup.js does) before running the tests.`;
+  }
+  if (stage === "postgis") {
+    return 'Use a PostGIS image (postgis/postgis) and run CREATE EXTENSION IF NOT EXISTS "postgis" (node db-setup.js does), or pass --skip-postgis-check.';
+  }
+  return "The server accepts connections but does not answer queries yet; it may still be starting or recovering.";
+}
+
+// One readiness check: TCP connect, SELECT 1, then optionally PostGIS
+async function probeDatabase(config, requirePostgis) {
+  const fail = (stage, error) =>
+    Object.assign(error, { stage, hint: describeFailure(stage, error, config) });
+  const probe = { timeout: PROBE_TIMEOUT };
+
+  try {
+    await probeTcp(config.host, config.port);
+  } catch (error) {
+    throw fail("tcp", error);
+  }
+
+  let serverVersion;
+  try {
+    await queryDatabase(config, "SELECT 1", config.database, probe);
+    serverVersion = await queryValue(config, "SHOW server_version", config.database, probe);
+  } catch (error) {
+    throw fail("query", error);
+  }
+
+  let postgisVersion = null;
+  if (requirePostgis) {
+    try {
+      postgisVersion = await queryValue(
+        config,
+        "SELECT extversion FROM pg_extension WHERE extname = 'postgis'",
+        config.database,
+        probe,
+      );
+    } catch (error) {
+      throw fail("postgis", error);
+    }
+    if (!postgisVersion) {
+      throw fail("postgis", new Error("the postgis extension is not installed"));
+    }
+  }
+
+  return { serverVersion, postgisVersion };
+}
+
+/**
+ * Wait until the database answers queries (and has PostGIS, with
+ * requirePostgis), retrying with exponential backoff until `retries` or
+ * `timeout` (seconds) runs out. Resolves with the server and PostGIS
+ * versions; rejects with the last error, carrying `stage` and `hint`.
+ */
+async function waitForPostgres(config, {
+  timeout = 60,
+  retries = Infinity,
+  retryDelay = 1000,
+  requirePostgis = false,
+  onRetry = () => {},
+} = {}) {
+  const deadline = Date.now() + timeout * 1000;
+  let delay = retryDelay;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await probeDatabase(config, requirePostgis);
+    } catch (error) {
+      // A missing extension does not fix itself by waiting
+      const exhausted =
+        attempt > retries || Date.now() + delay > deadline || error.stage === "postgis";
+      if (exhausted) {
+        throw error;
+      }
+      onRetry(error, { attempt, delay });
+      await sleep(delay);
+      delay = Math.min(delay * 2, MAX_RETRY_DELAY);
+    }
+  }
+}
+
+/**
+ * Create the database when it does not exist, connected to the postgres
+ * maintenance database. Resolves with whether it was created.
+ */
+async function ensureDatabase(config) {
+  const exists = await queryValue(
+    config,
+    `SELECT 1 FROM pg_database WHERE datname = ${quoteLiteral(config.database)}`,
+    "postgres",
+  );
+  if (exists) {
+    return { created: false };
+  }
+
+  await queryDatabase(config, `CREATE DATABASE ${quoteIdentifier(config.database)}`, "postgres");
+  return { created: true };
+}
+
+/**
+ * Create the extensions one by one, so one unavailable extension does not
+ * prevent the others. Resolves with the created and failed extensions and
+ * the installed PostGIS version.
+ */
+async function ensureExtensions(config, extensions = REQUIRED_EXTENSIONS) {
+  const created = [];
+  const failed = [];
+
+  for (const extension of extensions) {
+    try {
+      await queryDatabase(config, `CREATE EXTENSION IF NOT EXISTS ${quoteIdentifier(extension)}`);
+      created.push(extension);
+    } catch (error) {
+      failed.push({ extension, error: error.message });
+    }
+  }
+
+  const postgisVersion = await queryValue(
+    config,
+    "SELECT extversion FROM pg_extension WHERE extname = 'postgis'",
+  ).catch(() => null);
+
+  return { created, failed, postgisVersion };
+}
+
+async function describeDatabase(config) {
+  const [[database, user, version]] = await queryDatabase(
+    config,
+    "SELECT current_database(), current_user, version()",
+  );
+  const extensions = await queryDatabase(
+    config,
+    "SELECT extname, extversion FROM pg_extension ORDER BY extname",
+  );
+
+  return {
+    database,
+    user,
+    version,
+    extensions: extensions.map(([name, extensionVersion]) => ({
+      name,
+      version: extensionVersion,
+    })),
+  };
+}
+
+/**
+ * Environment for commands run against the database: the DB_* variables
+ * LoopBack datasources read, the PG* variables and DATABASE_URL.
+ */
+function databaseEnv(config) {
+  return {
+    DB_HOST: config.host,
+    DB_PORT: String(config.port),
+    DB_USER: config.user,
+    DB_PASSWORD: config.password,
+    DB_DATABASE: config.database,
+    PGHOST: config.host,
+    PGPORT: String(config.port),
+    PGUSER: config.user,
+    PGPASSWORD: config.password,
+    PGDATABASE: config.database,
+    DATABASE_URL: connectionUrl(config),
+  };
+}
+
+/**
+ * Run a migration command through the shell with its output passed
+ * through. Throws when the command fails.
+ */
+function runMigrateCommand(config, command, cwd = process.cwd()) {
+  try {
+    execSync(command, {
+      cwd,
+      stdio: "inherit",
+      env: { ...process.env, ...databaseEnv(config) },
+    });
+  } catch (error) {
+    throw new Error(`Migration command failed (exit code ${error.status}): ${command}`);
+  }
+}
+
+// The .sql files of a directory, in name order with numeric prefixes compared as numbers
+function listSqlFiles(directory) {
+  if (!fs.existsSync(directory)) {
+    throw new Error(`Directory not found: ${directory}`);
+  }
+  return fs
+    .readdirSync(directory)
+    .filter((name) => name.endsWith(".sql"))
+    .sort((a, b) => a.localeCompare(b, "en", { numeric: true }))
+    .map((name) => ({ name, file: path.join(directory, name) }));
+}
+
+function checksum(file) {
+  return crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex");
+}
+
+async function ensureTrackingTable(config, table) {
+  await queryDatabase(
+    config,
+    `CREATE TABLE IF NOT EXISTS ${quoteIdentifier(table)} (
+      kind text NOT NULL,
+      name text NOT NULL,
+      checksum text NOT NULL,
+      applied_at timestamptz NOT NULL DEFAULT now(),
+      PRIMARY KEY (kind, name)
+    )`,
+  );
+}
+
+/**
+ * Run a SQL file and the statement recording it in one transaction, so a
+ * failing file leaves neither partial changes nor a tracking row.
+ */
+async function executeSqlFile(config, file, trackingSql) {
+  const pg = loadPg();
+  if (pg) {
+    const client = new pg.Client({
+      connectionString: connectionUrl(config),
+      connectionTimeoutMillis: PROBE_TIMEOUT,
+    });
+    try {
+      await client.connect();
+      await client.query("BEGIN");
+      await client.query(fs.readFileSync(file, "utf8"));
+      await client.query(trackingSql);
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw error;
+    } finally {
+      await client.end().catch(() => {});
+    }
+    return;
+  }
+
+  try {
+    execFileSync(
+      "psql",
+      [
+        connectionUrl(config),
+        "-v",
+        "ON_ERROR_STOP=1",
+        "-X",
+        "-q",
+        "--single-transaction",
+        "-f",
+        file,
+        "-c",
+        trackingSql,
+      ],
+      { stdio: "pipe" },
+    );
+  } catch (error) {
+    const stderr = error.stderr ? error.stderr.toString().trim() : "";
+    throw new Error(stderr || error.message);
+  }
+}
+
+/**
+ * Apply the .sql files of a directory that the tracking table does not
+ * list yet for this kind ("migration" or "seed"), stopping at the first
+ * failure. Files whose content changed after they were applied are not
+ * applied again but reported as changed. Resolves with the applied,
+ * skipped and changed file names.
+ */
+async function applySqlFiles(config, directory, {
+  kind = "migration",
+  table = MIGRATIONS_TABLE,
+  onApply = () => {},
+} = {}) {
+  const files = listSqlFiles(directory);
+  await ensureTrackingTable(config, table);
+
+  const rows = await queryDatabase(
+    config,
+    `SELECT name, checksum FROM ${quoteIdentifier(table)} WHERE kind = ${quoteLiteral(kind)}`,
+  );
+  const recorded = new Map(rows);
+
+  const applied = [];
+  const skipped = [];
+  const changed = [];
+
+  for (const { name, file } of files) {
+    const sum = checksum(file);
+    if (recorded.has(name)) {
+      skipped.push(name);
+      if (recorded.get(name) !== sum) {
+        changed.push(name);
+      }
+      continue;
+    }
+
+    onApply(name);
+    try {
+      await executeSqlFile(
+        config,
+        file,
+        `INSERT INTO ${quoteIdentifier(table)} (kind, name, checksum) VALUES (${quoteLiteral(kind)}, ${quoteLiteral(name)}, ${quoteLiteral(sum)})`,
+      );
+    } catch (error) {
+      throw new Error(`Failed to apply ${kind} ${name}: ${error.message}`);
+    }
+    applied.push(name);
+  }
+
+  return { applied, skipped, changed };
+}
+
+function reportSqlFiles(kind, directory, { applied, skipped, changed }) {
+  console.log(
+    `✅ ${applied.length} ${kind}(s) applied from ${directory}, ${skipped.length} already applied`,
+  );
+  changed.forEach((name) =>
+    console.log(`⚠️ ${kind} ${name} changed after it was applied; it is not applied again`),
+  );
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const config = resolveConfig(argv);
+  const timeout = parseInt(getArgValue(argv, "--timeout")) || 60;
+  const skipExtensions = argv.includes("--skip-extensions");
+  const migrateCommand = getArgValue(argv, "--migrate");
+  const migrationsDir = getArgValue(argv, "--migrations");
+  const seedsDir = getArgValue(argv, "--seeds");
+  const table = getArgValue(argv, "--migrations-table") || MIGRATIONS_TABLE;
+
+  console.log("🐘 Setting up PostgreSQL for Buuk workflows...");
+  console.log("📋 Configuration:");
+  console.log(`   Host: ${config.host}`);
+  console.log(`   Port: ${config.port}`);
+  console.log(`   User: ${config.user}`);
+  console.log(`   Database: ${config.database}`);
+  console.log(`   Timeout: ${timeout}s`);
+  console.log(`   Skip Extensions: ${skipExtensions}`);
+  if (migrateCommand) {
+    console.log(`   Migrate Command: ${migrateCommand}`);
+  }
+  if (migrationsDir) {
+    console.log(`   Migrations: ${migrationsDir}`);
+  }
+  if (seedsDir) {
+    console.log(`   Seeds: ${seedsDir}`);
+  }
+
+  // The target database may not exist yet, so wait on the server itself
+  console.log("⏳ Waiting for PostgreSQL to be ready...");
+  try {
+    const { serverVersion } = await waitForPostgres(
+      { ...config, database: "postgres" },
+      {
+        timeout,
+        onRetry: (error, { delay }) =>
+          console.log(`   Still waiting (${error.stage}: ${error.message}), retrying in ${delay}ms`),
+      },
+    );
+    console.log(`✅ PostgreSQL ${serverVersion} is ready!`);
+  } catch (error) {
+    console.error(`❌ PostgreSQL not ready after ${timeout} seconds`);
+    console.error("🔍 Debugging information:");
+    console.error(`   Attempted connection: ${connectionUrl({ ...config, password: "***" })}`);
+    console.error(`   Failed check: ${error.stage}${error.code ? ` (${error.code})` : ""}`);
+    console.error(`   Error: ${error.message}`);
+    console.error(`   Hint: ${error.hint}`);
+    process.exit(1);
+  }
+
+  const { created } = await ensureDatabase(config);
+  console.log(
+    created
+      ? `✅ Database ${config.database} created`
+      : `ℹ️ Database ${config.database} already exists`,
+  );
+
+  if (skipExtensions) {
+    console.log("⏭️ Skipping PostgreSQL extensions creation");
+  } else {
+    console.log(`🔧 Creating PostgreSQL extensions: ${REQUIRED_EXTENSIONS.join(", ")}`);
+    const result = await ensureExtensions(config);
+    result.failed.forEach(({ extension, error }) =>
+      console.log(`⚠️ Failed to create extension ${extension}: ${error}`),
+    );
+    console.log(
+      result.postgisVersion
+        ? `✅ PostGIS extension verified: ${result.postgisVersion}`
+        : "⚠️ PostGIS extension may not be available",
+    );
+  }
+
+  if (migrateCommand) {
+    console.log(`🔄 Running migrations: ${migrateCommand}`);
+    runMigrateCommand(config, migrateCommand);
+    console.log("✅ Migration command completed");
+  }
+
+  if (migrationsDir) {
+    console.log(`🔄 Applying migrations from ${migrationsDir}`);
+    const result = await applySqlFiles(config, migrationsDir, {
+      kind: "migration",
+      table,
+      onApply: (name) => console.log(`   Applying migration ${name}`),
+    });
+    reportSqlFiles("migration", migrationsDir, result);
+  }
+
+  if (seedsDir) {
+    console.log(`🌱 Applying seeds from ${seedsDir}`);
+    const result = await applySqlFiles(config, seedsDir, {
+      kind: "seed",
+      table,
+      onApply: (name) => console.log(`   Applying seed ${name}`),
+    });
+    reportSqlFiles("seed", seedsDir, result);
+  }
+
+  const description = await describeDatabase(config);
+  console.log("📊 Database information:");
+  console.log(`   Database: ${description.database}`);
+  console.log(`   User: ${description.user}`);
+  console.log(`   Version: ${description.version}`);
+  if (!skipExtensions) {
+    console.log("📦 Installed extensions:");
+    description.extensions.forEach(({ name, version }) =>
+      console.log(`   ${name} ${version}`),
+    );
+  }
+
+  console.log("🎉 PostgreSQL is ready for Buuk workflows!");
+}
+
+if (require.main === module) {
+  if (process.argv.includes("--help")) {
+    console.log(`
+Usage: node db-setup.js [options]
+
+Options:
+  --host HOST              PostgreSQL host (default: localhost)
+  --port PORT              PostgreSQL port (default: 5432)
+  --user USER              PostgreSQL user (default: postgres)
+  --password PASSWORD      PostgreSQL password (default: postgres)
+  --database DATABASE      Database name (default: buukdb)
+  --timeout SECONDS        Connection timeout (default: 60)
+  --skip-extensions        Skip PostGIS extension creation
+  --migrate COMMAND        Migration command, run with the DB_* and PG* variables
+  --migrations DIR         Directory of .sql migration files, applied in name order
+  --seeds DIR              Directory of .sql seed files, applied after the migrations
+  --migrations-table NAME  Tracking table of applied files (default: buuk_setup_migrations)
+  --help                   Show this help message
+
+Environment Variables:
+  PGHOST, PGPORT, PGUSER, PGPASSWORD, PGDATABASE
+`);
+    process.exit(0);
+  }
+
+  main().catch((error) => {
+    console.error(`❌ PostgreSQL setup failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  REQUIRED_EXTENSIONS,
+  resolveConfig,
+  parseDatabaseUrl,
+  connectionUrl,
+  quoteIdentifier,
+  queryDatabase,
+  queryValue,
+  waitForPostgres,
+  ensureDatabase,
+  ensureExtensions,
+  describeDatabase,
+  describeFailure,
+  databaseEnv,
+  runMigrateCommand,
+  applySqlFiles,
+};
@@ -0,0 +1,202 @@
+/**
+ * Mocha Results Reporter
+ *
+ * Mocha reporter used by integration-test-runner.js. Prints the usual spec
+ * output and writes every test result (suite, title, file, duration, state
+ * and error) to a JSON file, so the runner never has to scrape console output.
+ *
+ * Usage:
+ *   npx lb-mocha --reporter ./mocha-results-reporter.js \
+ *     --reporter-option output=mocha-results.json --recursive dist/__tests__/acceptance
+ *
+ * Reporter options:
+ *   output                JSON results file (default: $MOCHA_RESULTS_FILE or mocha-results.json)
+ *   events                NDJSON file receiving a line as each test or hook starts and ends,
+ *                         so a run that never finishes still shows what was running
+ */
+
+const fs = require("fs");
+
+// Resolve mocha from the project under test, not from this file's location
+const Mocha = require(require.resolve("mocha", { paths: [process.cwd()] }));
+
+const {
+  EVENT_HOOK_BEGIN,
+  EVENT_HOOK_END,
+  EVENT_TEST_BEGIN,
+  EVENT_TEST_PASS,
+  EVENT_TEST_FAIL,
+  EVENT_TEST_PENDING,
+  EVENT_RUN_END,
+} = Mocha.Runner.constants;
+
+// Per-test stdout/stderr kept in the results, per stream
+const MAX_CAPTURED_OUTPUT = 64 * 1024;
+
+/**
+ * Tee process.stdout/stderr while a test runs, so each result carries the
+ * output it produced. Output is still printed as usual.
+ */
+function createOutputCapture() {
+  const streams = { stdout: process.stdout, stderr: process.stderr };
+  let originals = null;
+  let buffers = null;
+
+  function stop() {
+    if (originals) {
+      Object.keys(streams).forEach((name) => {
+        streams[name].write = originals[name];
+      });
+    }
+    const captured = buffers || { stdout: "", stderr: "" };
+    originals = null;
+    buffers = null;
+    return captured;
+  }
+
+  function start() {
+    stop();
+    originals = {};
+    buffers = { stdout: "", stderr: "" };
+
+    Object.entries(streams).forEach(([name, stream]) => {
+      const write = stream.write;
+      originals[name] = write;
+      stream.write = function (chunk, ...rest) {
+        if (buffers && buffers[name].length < MAX_CAPTURED_OUTPUT) {
+          buffers[name] += String(chunk).slice(
+            0,
+            MAX_CAPTURED_OUTPUT - buffers[name].length,
+          );
+        }
+        return write.call(stream, chunk, ...rest);
+      };
+    });
+  }
+
+  return { start, stop };
+}
+
+// Assertion values as Mocha prints them in its diffs, for errors that have them
+function describeAssertion(error) {
+  if (error.showDiff === false || error.actual === undefined || error.expected === undefined) {
+    return {};
+  }
+  const stringify = (value) =>
+    (typeof value === "string" ? value : Mocha.utils.stringify(value)).slice(
+      0,
+      MAX_CAPTURED_OUTPUT,
+    );
+  return { actual: stringify(error.actual), expected: stringify(error.expected) };
+}
+
+function describeTest(test, state, error, output = { stdout: "", stderr: "" }) {
+  const suite = test.parent ? test.parent.titlePath().join(" › ") : "";
+
+  return {
+    suite,
+    title: test.title,
+    fullTitle: test.fullTitle(),
+    file: test.file || (test.parent && test.parent.file) || null,
+    duration: test.duration || 0,
+    state,
+    // Hook failures ("before all" etc.) are reported as failed tests too
+    type: test.type,
+    error: error
+      ? {
+          message: error.message || String(error),
+          stack: error.stack || null,
+          ...describeAssertion(error),
+        }
+      : null,
+    stdout: output.stdout,
+    stderr: output.stderr,
+  };
+}
+
+// Appends one JSON line per event; a no-op without an events file
+function createEventLog(file) {
+  return (event, runnable) => {
+    if (!file) {
+      return;
+    }
+    try {
+      fs.appendFileSync(file, `${JSON.stringify({ event, ...runnable })}\n`);
+    } catch (error) {
+      // Progress events are best effort, the results file is what counts
+    }
+  };
+}
+
+function describeRunnable(runnable) {
+  return {
+    type: runnable.type,
+    suite: runnable.parent ? runnable.parent.titlePath().join(" › ") : "",
+    title: runnable.title,
+    fullTitle: runnable.fullTitle(),
+    file: runnable.file || (runnable.parent && runnable.parent.file) || null,
+  };
+}
+
+class MochaResultsReporter extends Mocha.reporters.Spec {
+  constructor(runner, options = {}) {
+    const tests = [];
+    const capture = createOutputCapture();
+    const reporterOptions = options.reporterOptions || options.reporterOption || {};
+    const logEvent = createEventLog(reporterOptions.events);
+    const record = (result) => {
+      tests.push(result);
+      logEvent("end", result);
+    };
+
+    // Registered before the spec reporter's own listeners so its result
+    // lines are not captured as test output
+    runner.on(EVENT_TEST_BEGIN, (test) => {
+      logEvent("begin", describeRunnable(test));
+      capture.start();
+    });
+
+    runner.on(EVENT_HOOK_BEGIN, (hook) => logEvent("begin", describeRunnable(hook)));
+    runner.on(EVENT_HOOK_END, (hook) => logEvent("end", describeRunnable(hook)));
+
+    runner.on(EVENT_TEST_PASS, (test) => {
+      record(describeTest(test, "passed", null, capture.stop()));
+    });
+
+    runner.on(EVENT_TEST_FAIL, (test, error) => {
+      record(describeTest(test, "failed", error, capture.stop()));
+    });
+
+    runner.on(EVENT_TEST_PENDING, (test) => {
+      record(describeTest(test, "pending", null, capture.stop()));
+    });
+
+    super(runner, options);
+
+    const output =
+      reporterOptions.output ||
+      process.env.MOCHA_RESULTS_FILE ||
+      "mocha-results.json";
+
+    runner.once(EVENT_RUN_END, () => {
+      const results = {
+        stats: {
+          passed: tests.filter((test) => test.state === "passed").length,
+          failed: tests.filter((test) => test.state === "failed").length,
+          pending: tests.filter((test) => test.state === "pending").length,
+          total: tests.length,
+          duration: this.stats.duration || 0,
+        },
+        tests,
+      };
+
+      try {
+        fs.writeFileSync(output, JSON.stringify(results, null, 2));
+      } catch (error) {
+        console.error(`❌ Failed to write test results to ${output}: ${error.message}`);
+      }
+    });
+  }
+}
+
+module.exports = MochaResultsReporter;
@@ -1,7 +1,11 @@
 #!/bin/bash
 
 # PostgreSQL Setup Script for GitHub Actions
-# 
+#
+# DEPRECATED: the workflows now use db-setup.js, which takes the same options.
+# This script is kept only for callers that still download it, and will be
+# removed.
+#
 # Sets up PostgreSQL with PostGIS extensions for Buuk application workflows.
 # Handles connection waiting, extension creation, and health checks.
 #
@@ -110,6 +114,7 @@ export PGUSER="$USER"
 export PGPASSWORD="$PASSWORD"
 export PGDATABASE="$DATABASE"
 
+echo "⚠️ postgres-setup.sh is deprecated, use db-setup.js with the same options instead" >&2
 echo "🐘 Setting up PostgreSQL for Buuk workflows..."
 echo "📋 Configuration:"
 echo "   Host: $HOST"
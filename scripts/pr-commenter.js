@@ -20,13 +20,16 @@
  *   --title               Comment title/header
  *   --body                Comment body content
  *   --details             Additional details (JSON string)
+ *   --results-file        Integration runner results (integration-test-results.json)
  *   --global-coverage     Global coverage percentage
+ *   --base-global-coverage  Global coverage percentage on the base branch
  *   --changed-coverage    Changed files coverage percentage
  *   --coverage-details    Coverage details markdown
  */
 
 const https = require("https");
 const fs = require("fs");
+const path = require("path");
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -36,7 +39,9 @@ const options = {
   title: getArgValue("--title"),
   body: getArgValue("--body"),
   details: getArgValue("--details"),
+  resultsFile: getArgValue("--results-file"),
   globalCoverage: getArgValue("--global-coverage"),
+  baseGlobalCoverage: getArgValue("--base-global-coverage"),
   changedCoverage: getArgValue("--changed-coverage"),
   coverageDetails: getArgValue("--coverage-details"),
 };
@@ -118,26 +123,40 @@ function makeGitHubRequest(method, endpoint, data) {
   });
 }
 
+function formatCoverageDelta(current, base) {
+  const delta = parseFloat(current) - parseFloat(base);
+  if (isNaN(delta)) {
+    return "";
+  }
+
+  const arrow = delta > 0 ? "▲" : delta < 0 ? "▼" : "±";
+  return ` (${arrow}${Math.abs(delta).toFixed(2)}% from ${base}%)`;
+}
+
 function generateCoverageComment(
   globalCoverage,
   changedCoverage,
   coverageDetails,
+  baseGlobalCoverage,
 ) {
   const prNumber = getRequiredEnvVar("PR_NUMBER");
   const repo = getRequiredEnvVar("GITHUB_REPOSITORY");
   const [owner, repoName] = repo.split("/");
+  const delta = baseGlobalCoverage
+    ? formatCoverageDelta(globalCoverage, baseGlobalCoverage)
+    : "";
 
   let body = `## 📊 Test Coverage Report
 
 ### Global Coverage
-Coverage after merging this PR will be **${globalCoverage || "N/A"}%**
+Coverage after merging this PR will be **${globalCoverage || "N/A"}%**${delta}
 
 ### Changed Files Coverage
 ${coverageDetails || "No coverage details available"}
 
 ---
 
-> 💡 **Note:** The build requires 20% coverage for changed files only, not global coverage.
+> 💡 **Note:** Coverage thresholds apply to changed files only, not global coverage.
 `;
 
   return {
@@ -147,7 +166,225 @@ ${coverageDetails || "No coverage details available"}
   };
 }
 
-function generateIntegrationComment(status, details) {
+const MAX_LISTED_FAILURES = 20;
+const MAX_SLOWEST_TESTS = 5;
+const MAX_STACK_FRAMES = 8;
+const MAX_LOG_LINES = 20;
+const MAX_DIFF_LINES = 200;
+
+// GitHub rejects comment bodies over 65536 characters
+const MAX_COMMENT_LENGTH = 60000;
+
+function readResultsFile(resultsFile) {
+  if (!resultsFile) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(resultsFile, "utf8"));
+  } catch (error) {
+    console.warn(`⚠️ Could not read results file ${resultsFile}: ${error.message}`);
+    return null;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// Keep fenced blocks intact when the content contains fences itself
+function codeBlock(content, language = "") {
+  return `\`\`\`${language}\n${content.replace(/```/g, "'''")}\n\`\`\``;
+}
+
+function formatDuration(milliseconds) {
+  return milliseconds >= 1000
+    ? `${(milliseconds / 1000).toFixed(1)}s`
+    : `${Math.round(milliseconds || 0)}ms`;
+}
+
+function testName(test) {
+  return [test.suite, test.title].filter(Boolean).join(" › ");
+}
+
+function testFile(test) {
+  return path.isAbsolute(test.file)
+    ? path.relative(process.cwd(), test.file)
+    : test.file;
+}
+
+function testLocation(test) {
+  return test.file ? ` (\`${testFile(test)}\`)` : "";
+}
+
+// Stack frames of the test code, without the message and framework internals
+function trimStack(stack) {
+  return (stack || "")
+    .split("\n")
+    .filter((line) => /^\s+at /.test(line))
+    .filter((line) => !/node_modules|node:internal|\(internal\//.test(line))
+    .slice(0, MAX_STACK_FRAMES)
+    .map((line) => line.trim())
+    .join("\n");
+}
+
+/**
+ * Line diff of an assertion in Mocha's "+ expected - actual" convention,
+ * from the longest common subsequence of both sides' lines.
+ */
+function formatAssertionDiff(expected, actual) {
+  const a = expected.split("\n").slice(0, MAX_DIFF_LINES);
+  const b = actual.split("\n").slice(0, MAX_DIFF_LINES);
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push(`  ${a[i]}`);
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      lines.push(`- ${b[j]}`);
+      j++;
+    } else {
+      lines.push(`+ ${a[i]}`);
+      i++;
+    }
+  }
+  return lines.join("\n");
+}
+
+function lastLines(output, count = MAX_LOG_LINES) {
+  return (output || "").trim().split("\n").slice(-count).join("\n");
+}
+
+// A collapsible section with the error, assertion diff, stack and test output
+function formatFailureDetails(test) {
+  const error = test.error || {};
+  const sections = [
+    codeBlock((error.message || "No error message").split("\n").slice(0, 20).join("\n")),
+  ];
+
+  if (error.expected !== undefined && error.actual !== undefined) {
+    sections.push(
+      `**Diff** (+ expected, - actual):\n\n${codeBlock(formatAssertionDiff(error.expected, error.actual), "diff")}`,
+    );
+  }
+  const stack = trimStack(error.stack);
+  if (stack) {
+    sections.push(`**Stack:**\n\n${codeBlock(stack)}`);
+  }
+  const logs = [lastLines(test.stdout), lastLines(test.stderr)]
+    .filter(Boolean)
+    .join("\n");
+  if (logs) {
+    sections.push(`**Output** (last ${MAX_LOG_LINES} lines):\n\n${codeBlock(logs)}`);
+  }
+
+  return `<details>
+<summary>❌ <b>${escapeHtml(testName(test))}</b>${test.file ? ` (<code>${escapeHtml(testFile(test))}</code>)` : ""}</summary>
+
+${sections.join("\n\n")}
+
+</details>`;
+}
+
+function formatFailingTests(tests, budget) {
+  const failures = tests.filter((test) => test.state === "failed");
+  if (failures.length === 0) {
+    return "";
+  }
+
+  const entries = [];
+  let length = 0;
+  for (const test of failures.slice(0, MAX_LISTED_FAILURES)) {
+    const entry = formatFailureDetails(test);
+    if (length + entry.length > budget) {
+      break;
+    }
+    entries.push(entry);
+    length += entry.length;
+  }
+
+  const remaining = failures.length - entries.length;
+  return `
+### ❌ Failing Tests (${failures.length})
+${entries.join("\n")}
+${remaining > 0 ? `\n_…and ${remaining} more, see the workflow logs and the integration-test-results artifact._\n` : ""}`;
+}
+
+// Tests that failed at first and passed on a retry
+function formatFlakyTests(tests) {
+  const flaky = tests.filter((test) => test.flaky);
+  if (flaky.length === 0) {
+    return "";
+  }
+
+  const entries = flaky.slice(0, MAX_LISTED_FAILURES).map((test) => {
+    const [firstError] = (test.previousErrors || []).filter(Boolean);
+    const firstFailure = firstError
+      ? ` — first failure: ${firstError.message.split("\n")[0].replace(/`/g, "'")}`
+      : "";
+    return `- **${testName(test)}**${testLocation(test)} passed on attempt ${test.attempts}${firstFailure}`;
+  });
+
+  const remaining = flaky.length - entries.length;
+  return `
+### 🔁 Flaky Tests (${flaky.length})
+${entries.join("\n")}
+${remaining > 0 ? `\n_…and ${remaining} more, see the workflow logs._\n` : ""}`;
+}
+
+function formatSlowestTests(tests) {
+  const slowest = tests
+    .filter((test) => test.state !== "pending" && test.duration > 0)
+    .sort((a, b) => b.duration - a.duration)
+    .slice(0, MAX_SLOWEST_TESTS);
+  if (slowest.length === 0) {
+    return "";
+  }
+
+  const rows = slowest.map(
+    (test) =>
+      `| ${testName(test).replace(/\|/g, "\\|")} | ${formatDuration(test.duration)} |`,
+  );
+  return `
+### 🐢 Slowest Tests
+| Test | Duration |
+|------|----------|
+${rows.join("\n")}
+`;
+}
+
+function formatResultsTable(summary) {
+  const results = summary.results || {};
+  return `| ✅ Passed | ❌ Failed | ⏭️ Pending | 🔁 Flaky | Total | ⏱️ Duration |
+|-----------|-----------|------------|----------|-------|-------------|
+| ${results.passed || 0} | ${results.failed || 0} | ${results.pending || 0} | ${results.flaky || 0} | ${results.total || 0} | ${formatDuration(summary.duration)} |
+`;
+}
+
+/**
+ * Integration test comment. With the runner's integration-test-results.json
+ * (--results-file) it shows a results table, every failing test with its
+ * diff, stack and output, flaky and slowest tests; otherwise only the
+ * free-text details.
+ */
+function generateIntegrationComment(status, details, summary = null) {
   let statusEmoji = "✅";
   let statusText = "Passed";
 
@@ -160,28 +397,57 @@ function generateIntegrationComment(status, details) {
   }
 
   const parsedDetails = details ? JSON.parse(details) : {};
-  const testDetails =
-    parsedDetails.testDetails || "All integration tests passed successfully!";
-  const env = parsedDetails.environment || {};
+  const env = {
+    ...((summary && summary.environment) || {}),
+    ...(parsedDetails.environment || {}),
+  };
+  const tests = (summary && summary.results && summary.results.tests) || [];
+
+  let overview;
+  if (summary && summary.results) {
+    overview = formatResultsTable(summary);
+  } else {
+    const testDetails =
+      parsedDetails.testDetails ||
+      (summary && summary.error) ||
+      "All integration tests passed successfully!";
+    overview = `**Details:** ${testDetails}\n`;
+  }
+
+  const hang =
+    summary && summary.hang
+      ? `\n> ⏱️ **Test run stopped:** ${summary.hang.description}${summary.hang.test ? ` while running **${summary.hang.test}**` : ""}\n`
+      : "";
+  const coverage =
+    summary && summary.coverage && summary.coverage.lines !== undefined
+      ? `\n**Integration coverage:** ${summary.coverage.lines}% lines, ${summary.coverage.branches}% branches\n`
+      : "";
+  const flaky = formatFlakyTests(tests);
+  const slowest = formatSlowestTests(tests);
 
-  let body = `## 🧪 Integration Test Results
+  const header = `## 🧪 Integration Test Results
 
 **Status:** ${statusEmoji} ${statusText}
-**Details:** ${testDetails}
 
+${overview}${hang}${coverage}`;
+  const footer = `${flaky}${slowest}
 ### Test Environment
 - **Node.js:** ${env.nodeVersion || "N/A"}
-- **PostgreSQL:** ${env.postgresVersion || "N/A"} with PostGIS extensions
-- **Test Timeout:** ${env.testTimeout || "N/A"}
+- **PostgreSQL:** ${env.postgres || env.postgresVersion || "N/A"}${env.postgis ? ` with PostGIS ${env.postgis}` : " with PostGIS extensions"}
+- **Test Timeout:** ${env.testTimeout ? `${parseInt(env.testTimeout)}ms` : "N/A"}
 
 ---
 
 > 🤖 Automated integration testing (backend only)
 `;
+  const failures = formatFailingTests(
+    tests,
+    MAX_COMMENT_LENGTH - header.length - footer.length,
+  );
 
   return {
     title: "🧪 Integration Test Results",
-    body: body,
+    body: `${header}${failures}${footer}`,
     identifier: "integration-tests",
   };
 }
@@ -352,12 +618,22 @@ async function main() {
         options.globalCoverage,
         options.changedCoverage,
         options.coverageDetails,
+        options.baseGlobalCoverage,
       );
       break;
 
-    case "integration":
-      commentData = generateIntegrationComment(options.status, options.details);
+    case "integration": {
+      const summary = readResultsFile(options.resultsFile);
+      // Without an explicit --status, the results decide
+      const status =
+        getArgValue("--status") || !summary
+          ? options.status
+          : summary.success
+            ? "success"
+            : "failure";
+      commentData = generateIntegrationComment(status, options.details, summary);
       break;
+    }
 
     case "e2e":
       commentData = generateE2EComment(options.status, options.details);
@@ -396,7 +672,9 @@ Options:
   --title               Comment title/header
   --body                Comment body content
   --details             Additional details (JSON string)
+  --results-file        Integration runner results (integration-test-results.json)
   --global-coverage     Global coverage percentage
+  --base-global-coverage  Global coverage percentage on the base branch
   --changed-coverage    Changed files coverage percentage
   --coverage-details    Coverage details markdown
 